@@ -1,9 +1,10 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useState, useMemo, useCallback, useRef, useEffect } from "react";
 import Papa from "papaparse";
 import {
   addMonths,
   subMonths,
   subDays,
+  addHours,
   startOfMonth,
   endOfMonth,
   startOfWeek,
@@ -24,6 +25,96 @@ import {
 } from "date-fns";
 import { motion } from "framer-motion";
 import html2canvas from "html2canvas";
+import {
+  DEFAULT_COLUMN_MAPPING,
+  MAPPING_FIELDS,
+  VALIDATION_REASONS,
+  mappingFitsHeaders,
+  guessColumnMapping,
+  toDashboardRows,
+  mergeRows,
+  rowKeySet,
+  appendUniqueRows,
+  validateRecords,
+  IMPORT_FILE_ACCEPT,
+  detectFileFormat,
+  peekImportFile,
+  streamImportFile,
+  cancelledImportError,
+} from "./dataImport";
+import {
+  listTimeZones,
+  isValidTimeZone,
+  loadFacilityTimeZone,
+  saveFacilityTimeZone,
+  formatInZone,
+  toCalendarDay,
+  toNightDay,
+  nightWindow,
+  zonedDayTime,
+  loadNightStartHour,
+  saveNightStartHour,
+  reinterpretWallTime,
+} from "./timeZone";
+import {
+  SENSOR_STATES,
+  DEFAULT_SENSOR_CODES,
+  STANDARD_PROFILE_NAME,
+  toCodeList,
+  fromCodeList,
+  codesByTimelineState,
+  loadSensorCodeProfiles,
+  saveSensorCodeProfiles,
+  loadActiveSensorCodes,
+  saveActiveSensorCodeProfile,
+} from "./sensorCodes";
+import {
+  isDatasetStoreAvailable,
+  createDatasetId,
+  listDatasets,
+  saveDataset,
+  loadDatasetRows,
+  renameDataset,
+  deleteDataset,
+} from "./datasetStore";
+import { connectLiveFeed, isValidLiveUrl } from "./liveFeed";
+import {
+  getNightFlags,
+  groupRowsByNight,
+  buildDailyData,
+  enrichDailyData,
+  summarizeDays,
+  buildTextualSummary,
+  buildTrendData,
+  buildWardAverageTrend,
+  buildDailyMetricsRecords,
+  buildTimelineSegments,
+  TIMELINE_STATE_PRIORITY,
+  buildHourlyHeatmap,
+  HEATMAP_STATES,
+  computeBedDailyMetrics,
+  computeFallRiskScores,
+  DEFAULT_FALL_RISK_CONFIG,
+  fallRiskLevel,
+  FALL_RISK_FACTORS,
+  BASELINE_METRICS,
+  DEFAULT_BASELINE_OPTIONS,
+  detectBaselineAnomalies,
+  detectTrends,
+  compareSummaries,
+  previousPeriod,
+  buildWardOverview,
+  describeDeviation,
+  buildExitEpisodes,
+  summarizeExitEpisodes,
+  EXIT_DURATION_BUCKETS,
+  NIGHT_TIME_HOURS,
+  isNightTimeHour,
+  LONG_ABSENCE_MINUTES,
+  DEFAULT_TURNING_INTERVAL_MINUTES,
+  DEFAULT_MIN_COVERAGE_PERCENT,
+  isLowCoverage,
+} from "./analytics";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -116,7 +207,6 @@ const palettes = {
 };
 
 const getPaletteColor = (hours) => {
-  // Removed paletteName argument as it's no longer used
   if (hours < 6) {
     return palettes.default[0]; // Red
   } else if (hours < 10) {
@@ -126,257 +216,508 @@ const getPaletteColor = (hours) => {
   }
 };
 
-// Helper function to calculate longest continuous sleep
-const calculateLongestContinuousSleep = (dailyRawRows) => {
-  if (!dailyRawRows || dailyRawRows.length === 0) return 0;
+// Calendar tiles: no rows at all, and rows but the sensor was offline for part of the night
+const NO_DATA_BACKGROUND = 'repeating-linear-gradient(45deg, #e2e8f0 0 6px, #f8fafc 6px 12px)';
+const LOW_COVERAGE_OVERLAY = 'repeating-linear-gradient(45deg, rgba(255, 255, 255, 0.55) 0 4px, transparent 4px 8px)';
 
-  // Sort by start time just in case
-  const sortedRows = dailyRawRows.sort((a, b) => a.start - b.start);
+// Define colors for risk score badge, one per band of fallRiskLevel
+const RISK_LEVEL_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#22c55e' }; // Red, amber, green
+const getRiskScoreColor = (score) => RISK_LEVEL_COLORS[fallRiskLevel(score).key];
 
-  let longestSleepMinutes = 0;
-  let currentSleepStart = null;
+// Fall-risk weights and badge setting, kept per browser
+const FALL_RISK_CONFIG_KEY = 'bedsense.fallRiskConfig';
 
-  // Define what constitutes an interruption (exit or high restlessness)
-  const isInterruption = (row) => {
-     return (
-         (row.type === 'patient_detection' && String(row.value) === '0') ||
-         (row.type === 'restlessness' && String(row.value) === '3')
-     );
-  };
+const loadFallRiskConfig = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FALL_RISK_CONFIG_KEY)) || {};
+    return {
+      ...DEFAULT_FALL_RISK_CONFIG,
+      showBadges: true,
+      ...saved,
+      weights: { ...DEFAULT_FALL_RISK_CONFIG.weights, ...saved.weights },
+    };
+  } catch (error) {
+    console.error("Could not read fall-risk settings:", error);
+    return { ...DEFAULT_FALL_RISK_CONFIG, showBadges: true };
+  }
+};
 
-  // Treat the start of the first non-interrupting event as potential sleep start
-  const firstRow = sortedRows[0];
-  if (!isInterruption(firstRow)) {
-      currentSleepStart = firstRow.start;
+const saveFallRiskConfig = (config) => {
+  try {
+    localStorage.setItem(FALL_RISK_CONFIG_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.error("Could not save fall-risk settings:", error);
   }
+};
 
-  for (let i = 0; i < sortedRows.length; i++) {
-    const row = sortedRows[i];
-    const nextRow = sortedRows[i + 1];
+const TURNING_INTERVAL_KEY = 'bedsense.turningIntervalMinutes';
+const TURNING_INTERVAL_OPTIONS = [60, 90, 120, 180, 240, 360]; // minutes
 
-    if (isInterruption(row)) {
-      // Interruption happened, end current sleep segment
-      if (currentSleepStart) {
-        const duration = differenceInMinutes(row.start, currentSleepStart);
-        longestSleepMinutes = Math.max(longestSleepMinutes, duration);
-        currentSleepStart = null; // Reset sleep segment
-      }
-    } else {
-      // Not an interruption
-      if (!currentSleepStart) {
-         // Start of a potential new sleep segment
-         currentSleepStart = row.start;
-      }
-       // Check for gap before next event OR end of data
-      const endOfCurrentSegment = nextRow ? nextRow.start : row.end;
-      if (nextRow && isAfter(nextRow.start, row.end)) {
-          // Gap exists, consider sleep ended at row.end
-          const duration = differenceInMinutes(row.end, currentSleepStart);
-          longestSleepMinutes = Math.max(longestSleepMinutes, duration);
-          // Reset if the next row is an interruption, otherwise it continues implicitly
-          if (isInterruption(nextRow)) {
-              currentSleepStart = null;
-          } // else: gap might be resting, let the next iteration handle it.
-      } else if (!nextRow) {
-          // Last event, calculate duration until its end
-          const duration = differenceInMinutes(row.end, currentSleepStart);
-          longestSleepMinutes = Math.max(longestSleepMinutes, duration);
-      }
-    }
+const loadTurningInterval = () => {
+  try {
+    const saved = Number(localStorage.getItem(TURNING_INTERVAL_KEY));
+    return TURNING_INTERVAL_OPTIONS.includes(saved) ? saved : DEFAULT_TURNING_INTERVAL_MINUTES;
+  } catch (e) {
+    return DEFAULT_TURNING_INTERVAL_MINUTES;
+  }
+};
+
+const saveTurningInterval = (minutes) => {
+  try {
+    localStorage.setItem(TURNING_INTERVAL_KEY, String(minutes));
+  } catch (error) {
+    console.error("Could not save turning interval:", error);
+  }
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Import helpers that need the browser (see dataImport.js for the rest)
+// ─────────────────────────────────────────────────────────────────────────────
+const MAPPING_PROFILES_KEY = 'bedsense.columnMappingProfiles';
+
+const loadMappingProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPING_PROFILES_KEY)) || {};
+  } catch (error) {
+    console.error("Could not read column mapping profiles:", error);
+    return {};
+  }
+};
+
+const saveMappingProfiles = (profiles) => {
+  try {
+    localStorage.setItem(MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error("Could not save column mapping profiles:", error);
   }
+};
 
-  // Convert minutes to hours
-  return longestSleepMinutes / 60;
+const downloadTextFile = (text, fileName, mimeType) => {
+  const link = document.createElement("a");
+  link.download = fileName;
+  link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  link.click();
+  URL.revokeObjectURL(link.href);
 };
 
-// Define colors for risk score badge
-const getRiskScoreColor = (score) => {
-  if (score >= 7) return '#ef4444'; // Red
-  if (score >= 4) return '#f59e0b'; // Amber
-  return '#22c55e'; // Green
+// Download the rejected records as CSV, original columns plus file name and reasons
+const downloadRejectedRows = (rejectedRows) => {
+  const csv = Papa.unparse(rejectedRows.map(({ record, fileName, reasons }) => ({
+    ...record,
+    source_file: fileName,
+    rejection_reasons: reasons.map(r => VALIDATION_REASONS[r].label).join('; '),
+  })));
+  downloadTextFile(csv, "bedsense_rejected_rows.csv", 'text/csv;charset=utf-8;');
 };
 
+const downloadDailyMetrics = (exportFormat, { rawRows, beds, dateRange, timeZone, nightStartHour, turningIntervalMinutes, sensorCodes }) => {
+  const records = buildDailyMetricsRecords(rawRows, beds, dateRange, { timeZone, nightStartHour, turningIntervalMinutes, sensorCodes });
+  if (!records.length) {
+    alert("No daily metrics in the selected range to export.");
+    return;
+  }
+  const start = format(dateRange.start, 'yyyy-MM-dd');
+  const end = format(dateRange.end, 'yyyy-MM-dd');
+  const baseName = `bedsense_daily_metrics_${start}_${end}`;
+
+  if (exportFormat === 'json') {
+    const json = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      timeZone,
+      nightStartHour,
+      range: { start, end },
+      beds,
+      days: records,
+    }, null, 2);
+    downloadTextFile(json, `${baseName}.json`, 'application/json');
+  } else {
+    downloadTextFile(Papa.unparse(records), `${baseName}.csv`, 'text/csv;charset=utf-8;');
+  }
+};
+
+// Parse one file in a Web Worker so big exports don't freeze the tab. Where Worker
+// is missing (jsdom in tests) the same chunked parse runs on the main thread.
+// `cancelRef.current` is set to a function that aborts this parse.
+const runStreamingImport = async (file, format, mapping, { timeZone, sensorCodes }, onProgress, cancelRef) => {
+  if (typeof Worker === 'undefined') {
+    let cancelRequested = false;
+    cancelRef.current = () => { cancelRequested = true; };
+    return streamImportFile(file, format, mapping, { onProgress, shouldAbort: () => cancelRequested, timeZone, sensorCodes });
+  }
+
+  const { default: createImportWorker } = await import('./createImportWorker');
+  return new Promise((resolve, reject) => {
+    const worker = createImportWorker();
+    cancelRef.current = () => {
+      worker.terminate();
+      reject(cancelledImportError());
+    };
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress({ rows: data.rows, bytes: data.bytes, totalBytes: data.totalBytes });
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Import worker failed'));
+    };
+    worker.postMessage({ file, format, mapping, timeZone, sensorCodes });
+  });
+};
+
+// ───────── Live mode settings ─────────
+const LIVE_FLUSH_MS = 1000;
+const DEFAULT_LIVE_URL = 'http://localhost:8787/events'; // scripts/mock-live-server.js
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Main component
 // ─────────────────────────────────────────────────────────────────────────────
 export default function BedSenseDashboard() {
-  const [rawRows, setRawRows] = useState([]); // all csv rows
+  const [rawRows, setRawRows] = useState([]); // all imported rows
+  const [loadedFiles, setLoadedFiles] = useState([]); // { name, rows, duplicates, overlaps } per imported file
+  const [currentDataset, setCurrentDataset] = useState(null); // library metadata of the open dataset
+  const [isReportBuilderOpen, setIsReportBuilderOpen] = useState(false);
+  const [isSensorCodesOpen, setIsSensorCodesOpen] = useState(false);
+  const [reportSections, setReportSections] = useState(null); // set while the printable report is shown
+  const [liveUrl, setLiveUrl] = useState(null); // WebSocket / SSE endpoint while live mode is on
+  const [liveStatus, setLiveStatus] = useState('off'); // 'off' | 'connecting' | 'live' | 'error'
+  const [liveEventCount, setLiveEventCount] = useState(0);
+  const liveKeysRef = useRef(null); // { rows, keys }: row keys of the dataset live mode last appended to
   const [bedNames, setBedNames] = useState([]);
   const [selectedBed, setSelectedBed] = useState(null);
+  const [isWardView, setIsWardView] = useState(false); // all beds side by side instead of the single-bed view
+  const [overlayBeds, setOverlayBeds] = useState([]); // other beds drawn in the trend charts
+  const [showWardAverage, setShowWardAverage] = useState(false); // ward-average line in the trend charts
   const [selectedDayKey, setSelectedDayKey] = useState(null);
   const [isDetailModalOpen, setIsDetailModalOpen] = useState(false);
+  const [focusHour, setFocusHour] = useState(null); // hour of the night (0-23) the detail modal scrolls to, from the heatmap
   const [dateRange, setDateRange] = useState({ start: null, end: null });
+  const [compareRange, setCompareRange] = useState(null); // second range of the same bed to compare with, null = off
   const [isLoading, setIsLoading] = useState(false);
+  const [importReport, setImportReport] = useState(null); // validation report of the latest import
+  const [importProgress, setImportProgress] = useState(null); // { fileName, fileIndex, fileCount, rows, bytes, totalBytes, startedAt } while streaming
+  const cancelImportRef = useRef(null); // set while a file is being parsed
+  const [pendingMapping, setPendingMapping] = useState(null); // { fileName, headers, previewRows, resolve } while the mapping wizard is open
   const [highRestlessPercentThreshold, setHighRestlessPercentThreshold] = useState(20); // New threshold in %
+  const [fallRiskConfig, setFallRiskConfig] = useState(loadFallRiskConfig);
+  const [baselineOptions, setBaselineOptions] = useState(DEFAULT_BASELINE_OPTIONS); // rolling per-bed baseline for anomaly flags
+  const [timeZone, setTimeZone] = useState(loadFacilityTimeZone); // facility zone used for parsing, day keys and all shown times
+  const [nightStartHour, setNightStartHour] = useState(loadNightStartHour); // nights run from this hour to the same hour next day
+  const [turningIntervalMinutes, setTurningIntervalMinutes] = useState(loadTurningInterval); // repositioning schedule
+  const [sensorCodeProfile, setSensorCodeProfile] = useState(loadActiveSensorCodes); // { name, codes }, see sensorCodes.js
+  const sensorCodes = sensorCodeProfile.codes;
+  const [minCoveragePercent, setMinCoveragePercent] = useState(DEFAULT_MIN_COVERAGE_PERCENT); // below this a night counts as low coverage
+  const [includeLowCoverage, setIncludeLowCoverage] = useState(false); // keep low-coverage nights in the averages
 
   // Use the current color palette logic
   // const currentPalette = palettes.default; // This is less relevant now
 
-  // ───────── CSV parsing ─────────
-  // Reverted to handle a single File object
-  const handleFile = (file) => {
+  // ───────── File import (CSV / JSON / NDJSON) ─────────
+  // Shows the column mapping wizard and resolves with the chosen mapping (or null to skip the file)
+  const requestColumnMapping = (fileName, headers, previewRows) => new Promise((resolve) => {
+    setPendingMapping({ fileName, headers, previewRows, resolve });
+  });
+
+  const closeColumnMapping = (mapping) => {
+    pendingMapping?.resolve(mapping);
+    setPendingMapping(null);
+  };
+
+  // Accepts one or more File objects. With `append` the files are merged into the
+  // current dataset, otherwise they replace it.
+  const handleFiles = async (fileList, { append = false } = {}) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+
     setIsLoading(true);
-    setRawRows([]);
-    setDateRange({ start: null, end: null });
-    setBedNames([]);
-    setSelectedBed(null);
     setSelectedDayKey(null);
     setIsDetailModalOpen(false);
 
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        try {
-          const parsed = results.data.map((row) => ({
-            ...row,
-            start: parseISO(row.start_at),
-            end: parseISO(row.end_at),
-          }));
-          // Filter out rows with invalid dates right after parsing
-          const validParsed = parsed.filter(r => r.start instanceof Date && !isNaN(r.start) && r.end instanceof Date && !isNaN(r.end));
-
-          if (validParsed.length === 0) {
-             alert("No valid data rows found in the CSV. Check 'start_at' and 'end_at' columns and date formats.");
-             setIsLoading(false);
-             return;
+    let mergedRows = append ? rawRows : [];
+    const fileStats = [];
+    const report = { files: [], rejectedRows: [] };
+    // Bed list and date span are collected per file by the parser, so we never re-scan all rows
+    const beds = new Set(append ? bedNames : []);
+    const span = append && rawRows.length
+      ? { min: dateMin(rawRows.map(r => r.start)), max: dateMax(rawRows.map(r => r.start)) }
+      : { min: null, max: null };
+    let cancelled = false;
+
+    for (let i = 0; i < files.length && !cancelled; i++) {
+      const file = files[i];
+      try {
+        const format = await detectFileFormat(file);
+        const { headers, previewRows } = await peekImportFile(file, format);
+
+        // Non-standard headers: ask how to map them before building rows
+        let mapping = DEFAULT_COLUMN_MAPPING;
+        if (!mappingFitsHeaders(DEFAULT_COLUMN_MAPPING, headers)) {
+          mapping = await requestColumnMapping(file.name, headers, previewRows);
+          if (!mapping) {
+            console.log(`Skipped ${file.name}: no column mapping chosen.`);
+            continue;
           }
+        }
+
+        setImportProgress({
+          fileName: file.name, fileIndex: i, fileCount: files.length,
+          rows: 0, bytes: 0, totalBytes: file.size, startedAt: Date.now(),
+        });
+        const parsed = await runStreamingImport(
+          file,
+          format,
+          mapping,
+          { timeZone, sensorCodes },
+          (progress) => setImportProgress(prev => prev && { ...prev, ...progress }),
+          cancelImportRef
+        );
+
+        report.rejectedRows = report.rejectedRows.concat(parsed.rejected);
+        report.files.push({
+          name: file.name,
+          total: parsed.total,
+          accepted: parsed.accepted.length,
+          rejected: parsed.rejected.length,
+          suspicious: parsed.suspicious,
+          reasonCounts: parsed.reasonCounts,
+        });
 
-          const uniqueBeds = Array.from(new Set(validParsed.map((r) => r.bed_name))).sort();
-          const validDates = validParsed.map(r => r.start);
-          const maxDate = dateMax(validDates);
-          const minDate = dateMin(validDates);
-          const defaultStart = subDays(maxDate, 30);
-
-          setRawRows(validParsed);
-          setBedNames(uniqueBeds);
-          setSelectedBed(uniqueBeds[0] || null);
-          // Set range to last 30 days of data within the file
-          setDateRange({ start: dateMax([defaultStart, minDate]), end: maxDate });
-
-          console.log(`Successfully parsed ${validParsed.length} rows from ${file.name}.`);
-
-        } catch (error) {
-          console.error("Error processing CSV:", error);
-          alert("Error processing CSV file. Please ensure it's in the correct format.");
-        } finally {
-          setIsLoading(false);
+        if (parsed.accepted.length === 0) continue; // Nothing usable; the import report explains why
+
+        const merge = mergeRows(mergedRows, parsed.accepted);
+        mergedRows = merge.rows;
+        parsed.beds.forEach(b => beds.add(b));
+        span.min = span.min ? dateMin([span.min, parsed.minDate]) : parsed.minDate;
+        span.max = span.max ? dateMax([span.max, parsed.maxDate]) : parsed.maxDate;
+        fileStats.push({ name: file.name, rows: merge.added, duplicates: merge.duplicates, overlaps: merge.overlaps });
+        console.log(`Parsed ${parsed.accepted.length} rows from ${file.name}: ${merge.added} added, ${merge.duplicates} duplicates and ${merge.overlaps} overlapping rows dropped.`);
+      } catch (error) {
+        if (error.cancelled) {
+          console.log(`Import cancelled while reading ${file.name}.`);
+          cancelled = true;
+        } else {
+          console.error("Import error:", error);
+          alert(`Error reading file ${file.name}: ${error.message}`);
         }
-      },
-      error: (error) => {
-        console.error("PapaParse error:", error);
-        alert(`Error parsing CSV file: ${error.message}`);
-        setIsLoading(false);
       }
+    }
+
+    cancelImportRef.current = null;
+    setImportProgress(null);
+
+    // A cancelled import leaves the current dataset untouched
+    if (cancelled) {
+      setIsLoading(false);
+      return;
+    }
+
+    setImportReport(report.files.length ? report : null);
+
+    if (mergedRows.length === 0 || (append && !fileStats.length)) {
+      setIsLoading(false);
+      return;
+    }
+
+    const uniqueBeds = Array.from(beds).sort();
+    const datasetFiles = append ? [...loadedFiles, ...fileStats] : fileStats;
+
+    // Appending updates the open dataset in the library, a fresh import creates a new one
+    const now = new Date();
+    const dataset = append && currentDataset
+      ? { ...currentDataset, updatedAt: now }
+      : {
+          id: createDatasetId(),
+          name: datasetFiles.length > 1 ? `${datasetFiles[0].name} +${datasetFiles.length - 1} more` : datasetFiles[0].name,
+          importedAt: now,
+          updatedAt: now,
+        };
+    Object.assign(dataset, {
+      beds: uniqueBeds, start: span.min, end: span.max, rowCount: mergedRows.length, files: datasetFiles, timeZone,
     });
+    persistDataset(dataset, mergedRows);
+
+    showDataset(dataset, mergedRows, { keepSelectedBed: append });
   };
 
-  // ───────── Aggregation ─────────
-  const dailyData = useMemo(() => {
-    if (!rawRows.length) return {};
-    const map = {};
-    // Group rows by day first for easier processing
-    const rowsByDay = rawRows.reduce((acc, row) => {
-        const dayKey = format(row.start, "yyyy-MM-dd");
-        if (!acc[dayKey]) acc[dayKey] = [];
-        acc[dayKey].push(row);
-        return acc;
-    }, {});
-
-    Object.keys(rowsByDay).forEach(dayKey => {
-        const dayRows = rowsByDay[dayKey];
-        // Filter for selected bed if necessary
-        const filteredDayRows = selectedBed ? dayRows.filter(r => r.bed_name === selectedBed) : dayRows;
-        if (filteredDayRows.length === 0) return; // Skip day if no data for selected bed
-
-        // Sort events within the day for accurate exit/state tracking
-        const sortedDayRows = filteredDayRows.sort((a, b) => a.start - b.start);
-
-        map[dayKey] = {
-          inBedMinutes: 0,
-          repositions: 0,
-          exits: 0, // Recalculate exits based on transitions
-          restlessCounts: { 1: 0, 2: 0, 3: 0 },
-        };
+  // Put a dataset on screen: rows, file list, beds, and the last 30 days as range
+  const showDataset = (dataset, rows, { keepSelectedBed = false } = {}) => {
+    const maxDay = toNightDay(dataset.end, timeZone, nightStartHour);
+    const minDay = toNightDay(dataset.start, timeZone, nightStartHour);
+    const defaultStart = subDays(maxDay, 30);
+
+    setCurrentDataset(dataset);
+    setRawRows(rows);
+    setLoadedFiles(dataset.files || []);
+    setBedNames(dataset.beds);
+    // Keep the current bed when adding files, unless it disappeared
+    setSelectedBed(prev => (keepSelectedBed && dataset.beds.includes(prev) ? prev : dataset.beds[0] || null));
+    setOverlayBeds(prev => (keepSelectedBed ? prev.filter(bed => dataset.beds.includes(bed)) : []));
+    // Set range to last 30 days of data across all loaded files
+    setDateRange({ start: dateMax([defaultStart, minDay]), end: maxDay });
+    setCompareRange(null);
+    setIsLoading(false);
+  };
 
-        let isCurrentlyInBed = false; // Track patient state
-
-        sortedDayRows.forEach(row => {
-            const valueStr = String(row.value);
-            const mins = differenceInMinutes(row.end, row.start);
-
-            // Track in-bed status based on patient_detection
-            let wasInBedBeforeEvent = isCurrentlyInBed;
-            if (row.type === "patient_detection") {
-                const isInBedEvent = (valueStr === "1" || valueStr === "2" || valueStr === "4");
-                isCurrentlyInBed = isInBedEvent;
-
-                if (isInBedEvent) {
-                  map[dayKey].inBedMinutes += mins;
-                } else if (wasInBedBeforeEvent) { // If patient was in bed just before this '0' event
-                   map[dayKey].exits += 1; // Count as an exit
-                }
-            } else {
-                // If not a patient detection event, assume state persists unless explicitly changed
-                // This handles cases where restlessness or reposition happens while in bed
-                if (isCurrentlyInBed) {
-                   // Check if this non-detection event implies continued presence
-                   // (e.g., restlessness/reposition requires presence)
-                   // This might need refinement based on sensor logic assumptions
-                }
-            }
-
-            // Reposition counting (remains same)
-            if (row.type === "reposition" && valueStr === "1") {
-              map[dayKey].repositions += 1;
-            }
-            // Restlessness counting (remains same)
-            if (row.type === "restlessness") {
-              if (valueStr === '1' || valueStr === '2' || valueStr === '3') {
-                map[dayKey].restlessCounts[valueStr] += mins;
-              }
-            }
-        });
+  // ───────── Live mode ─────────
+  // Incoming events are buffered and appended once per LIVE_FLUSH_MS, so a busy
+  // stream re-aggregates the dashboard about once a second instead of per event.
+  // The connection only follows liveUrl; the flush reads rows and settings through
+  // liveStateRef, so changing the zone or codes neither reconnects nor drops the buffer.
+  const liveStateRef = useRef(null);
+  useEffect(() => {
+    liveStateRef.current = { rawRows, timeZone, nightStartHour, sensorCodes };
+  });
+
+  useEffect(() => {
+    if (!liveUrl) return undefined;
+    const buffer = [];
+    const disconnect = connectLiveFeed(liveUrl, {
+      onRecords: (records) => records.forEach(r => buffer.push(r)),
+      onStatus: setLiveStatus,
     });
 
-    return map;
-  }, [rawRows, selectedBed]);
+    const flushTimer = setInterval(() => {
+      if (!buffer.length) return;
+      const records = buffer.splice(0, buffer.length);
+      setLiveEventCount(count => count + records.length);
+      const { rawRows: prev, timeZone, nightStartHour, sensorCodes } = liveStateRef.current;
+      const { accepted } = validateRecords(records, `live: ${liveUrl}`, DEFAULT_COLUMN_MAPPING, timeZone, sensorCodes);
+      if (!accepted.length) return;
+
+      // Reuse the keys unless the rows were replaced since (import, library, time zone)
+      const keys = liveKeysRef.current?.rows === prev ? liveKeysRef.current.keys : rowKeySet(prev);
+      const { rows } = appendUniqueRows(prev, accepted, keys);
+      liveKeysRef.current = { rows, keys };
+      liveStateRef.current = { ...liveStateRef.current, rawRows: rows }; // for a second flush before the next render
+      // Something else replaced the rows in the meantime: append to those, with fresh keys
+      setRawRows(current => (current === prev ? rows : appendUniqueRows(current, accepted, rowKeySet(current)).rows));
+      setBedNames(prev => {
+        const all = Array.from(new Set([...prev, ...accepted.map(r => r.bed_name)])).sort();
+        return all.length === prev.length ? prev : all;
+      });
+      setSelectedBed(prev => prev ?? accepted[0].bed_name);
+      // Grow the range so the newest night stays in view
+      const latestDay = toNightDay(dateMax(accepted.map(r => r.start)), timeZone, nightStartHour);
+      setDateRange(prev => {
+        if (!prev.start || !prev.end) return { start: subDays(latestDay, 6), end: latestDay };
+        return isAfter(latestDay, prev.end) ? { ...prev, end: latestDay } : prev;
+      });
+    }, LIVE_FLUSH_MS);
+
+    return () => {
+      clearInterval(flushTimer);
+      disconnect();
+      liveKeysRef.current = null;
+      setLiveStatus('off');
+    };
+  }, [liveUrl]);
+
+  const startLive = (url) => {
+    if (!isValidLiveUrl(url)) {
+      alert("Enter a ws://, wss://, http:// or https:// URL for the live feed.");
+      return;
+    }
+    setLiveEventCount(0);
+    setLiveUrl(url.trim());
+  };
+
+  const stopLive = () => setLiveUrl(null);
+
+  const liveProps = { liveUrl, liveStatus, liveEventCount, onStartLive: startLive, onStopLive: stopLive };
+
+  // ───────── Local dataset library ─────────
+  // Saving runs in the background; a failure (e.g. storage quota) only costs the saved copy
+  const persistDataset = (dataset, rows) => {
+    if (!isDatasetStoreAvailable()) return;
+    saveDataset(dataset, rows)
+      .then(() => console.log(`Saved dataset "${dataset.name}" (${rows.length} rows) locally.`))
+      .catch(error => console.error("Could not save dataset locally:", error));
+  };
+
+  const openSavedDataset = async (dataset) => {
+    setIsLoading(true);
+    setImportReport(null);
+    try {
+      let rows = await loadDatasetRows(dataset.id);
+      if (!rows) throw new Error("The saved rows for this dataset are missing.");
+      // Saved under another facility zone: re-read offset-less timestamps in the current one
+      if (dataset.timeZone && dataset.timeZone !== timeZone && rows.some(r => r.naive_time)) {
+        rows = rows.map(r => (r.naive_time
+          ? { ...r, start: reinterpretWallTime(r.start, dataset.timeZone, timeZone), end: reinterpretWallTime(r.end, dataset.timeZone, timeZone) }
+          : r));
+      }
+      showDataset(dataset, rows);
+    } catch (error) {
+      console.error("Could not open saved dataset:", error);
+      alert(`Could not open "${dataset.name}": ${error.message}`);
+      setIsLoading(false);
+    }
+  };
+
+  const cancelImport = () => {
+    if (cancelImportRef.current) cancelImportRef.current();
+  };
+
+  // ───────── Facility time zone ─────────
+  // Rows whose timestamps had no offset were read as wall time in the old zone;
+  // re-read them in the new one. Rows with an explicit offset keep their instant.
+  const changeTimeZone = (zone) => {
+    if (!isValidTimeZone(zone) || zone === timeZone) return;
+    saveFacilityTimeZone(zone);
+    const rows = rawRows.some(r => r.naive_time)
+      ? rawRows.map(r => (r.naive_time
+        ? { ...r, start: reinterpretWallTime(r.start, timeZone, zone), end: reinterpretWallTime(r.end, timeZone, zone) }
+        : r))
+      : rawRows;
+    setRawRows(rows);
+    setTimeZone(zone);
+    // Nights are re-keyed in the new zone: keep the range inside the data, drop the open night
+    setSelectedDayKey(null);
+    setIsDetailModalOpen(false);
+    if (rows.length && dateRange.start && dateRange.end) {
+      const starts = rows.map(r => r.start);
+      const minDay = toNightDay(dateMin(starts), zone, nightStartHour);
+      const maxDay = toNightDay(dateMax(starts), zone, nightStartHour);
+      const start = dateMax([dateMin([dateRange.start, maxDay]), minDay]);
+      const end = dateMin([dateMax([dateRange.end, start]), maxDay]);
+      setDateRange({ start, end });
+    }
+  };
+
+  // ───────── Night window ─────────
+  const changeNightStartHour = (hour) => {
+    saveNightStartHour(hour);
+    setNightStartHour(hour);
+    setSelectedDayKey(null);
+    setIsDetailModalOpen(false);
+  };
+
+  // ───────── Aggregation ─────────
+  // The selected bed's rows (all rows when pooled), one array shared by every view below
+  const bedRows = useMemo(
+    () => (selectedBed ? rawRows.filter(r => r.bed_name === selectedBed) : rawRows),
+    [rawRows, selectedBed]
+  );
+  // ...and the same rows split into nights, for aggregation, heatmap, report and day detail
+  const bedRowsByNight = useMemo(
+    () => groupRowsByNight(bedRows, { timeZone, nightStartHour }),
+    [bedRows, timeZone, nightStartHour]
+  );
+
+  const dailyData = useMemo(
+    () => buildDailyData(bedRows, { timeZone, nightStartHour, turningIntervalMinutes, sensorCodes, rowsByNight: bedRowsByNight }),
+    [bedRows, bedRowsByNight, timeZone, nightStartHour, turningIntervalMinutes, sensorCodes]
+  );
 
   // Calculate enriched daily data including new KPIs
-  const enrichedDailyData = useMemo(() => {
-    const enriched = {};
-    const dayKeys = Object.keys(dailyData);
-
-    // Filter raw rows for the selected bed ONCE for efficiency
-    const filteredRawRows = selectedBed ? rawRows.filter(r => r.bed_name === selectedBed) : rawRows;
-
-    dayKeys.forEach(key => {
-      const metrics = dailyData[key];
-      const { inBedMinutes, restlessCounts } = metrics; // Exits are now directly from dailyData
-
-      // Calculate Restlessness %
-      const restlessMinutes = (restlessCounts['2'] || 0) + (restlessCounts['3'] || 0);
-      const restlessPercent = inBedMinutes > 0 ? (restlessMinutes / inBedMinutes) * 100 : 0;
-
-      // Calculate Longest Continuous Sleep
-      // Filter already-filtered raw rows further for the specific day
-      const dailyRawRows = filteredRawRows.filter(r => format(r.start, "yyyy-MM-dd") === key);
-      const longestContinuousSleepHours = calculateLongestContinuousSleep(dailyRawRows);
-
-      // REMOVED Fall Risk Score calculation
-      // REMOVED Sleep Score calculation
-
-      enriched[key] = {
-        ...metrics, // Includes recalculated exits
-        restlessMinutes,
-        restlessPercent: restlessPercent.toFixed(1),
-        longestContinuousSleepHours: longestContinuousSleepHours.toFixed(1),
-        // REMOVED fallRiskScore
-        // REMOVED sleepScore
-      };
-    });
-    return enriched;
-  }, [dailyData, rawRows, selectedBed]); // Added selectedBed dependency
+  const enrichedDailyData = useMemo(
+    () => enrichDailyData(dailyData, bedRows, { timeZone, nightStartHour, sensorCodes, rowsByNight: bedRowsByNight }),
+    [dailyData, bedRows, bedRowsByNight, timeZone, nightStartHour, sensorCodes]
+  );
 
   // ───────── Derived helpers ─────────
   const daysInView = useMemo(() => {
@@ -387,124 +728,93 @@ export default function BedSenseDashboard() {
     return eachDayOfInterval({ start: gridStart, end: gridEnd });
   }, [dateRange]);
 
-  const summary = useMemo(() => {
-    // Use enriched data now
-    const days = Object.keys(enrichedDailyData).filter((d) =>
-      dateRange.start && dateRange.end && isWithinInterval(parseISO(d), dateRange)
-    );
-    if (!days.length) return null;
-
-    const metricsForDays = days.map(d => enrichedDailyData[d]);
-
-    const totalHours = metricsForDays.reduce((acc, m) => acc + m.inBedMinutes / 60, 0);
-    const totalRepositions = metricsForDays.reduce((acc, m) => acc + m.repositions, 0);
-    const totalExits = metricsForDays.reduce((acc, m) => acc + m.exits, 0); // Add total exits
-    const totalRestlessPercent = metricsForDays.reduce((acc, m) => acc + parseFloat(m.restlessPercent), 0);
-    const longestSleepValues = metricsForDays.map(m => parseFloat(m.longestContinuousSleepHours)).sort((a, b) => a - b);
-    
-    // Calculate Median for longest sleep
-    let medianLongestSleep = 0;
-    const mid = Math.floor(longestSleepValues.length / 2);
-    if (longestSleepValues.length > 0) {
-       medianLongestSleep = longestSleepValues.length % 2 !== 0
-           ? longestSleepValues[mid]
-           : (longestSleepValues[mid - 1] + longestSleepValues[mid]) / 2;
-    }
+  const summary = useMemo(
+    () => summarizeDays(enrichedDailyData, dateRange, { minCoveragePercent: includeLowCoverage ? null : minCoveragePercent }),
+    [enrichedDailyData, dateRange, minCoveragePercent, includeLowCoverage]
+  );
 
-    return {
-      avgHours: (totalHours / days.length).toFixed(1),
-      avgRepositions: (totalRepositions / days.length).toFixed(1),
-      avgExits: (totalExits / days.length).toFixed(1), // Add avg exits
-      avgRestlessPercent: (totalRestlessPercent / days.length).toFixed(1),
-      medianLongestSleep: medianLongestSleep.toFixed(1),
-      days: days.length,
-    };
-  }, [enrichedDailyData, dateRange]); // Depend on enriched data
-
-  const textualSummary = useMemo(() => {
-    if (!summary || !dateRange.start || !dateRange.end) return null;
-
-    // Use enriched data for analysis within the text
-    const relevantDays = Object.entries(enrichedDailyData)
-      .map(([key, metrics]) => ({ date: parseISO(key), key, ...metrics }))
-      .filter(d => isWithinInterval(d.date, dateRange));
-
-    if (!relevantDays.length) return "No data available for the selected period.";
-
-    let maxHoursDay = null, minHoursDay = null, maxReposDay = null, minSleepDay = null /* removed maxRiskDay */;
-    let maxHours = -1, minHours = Infinity, maxRepos = -1, minSleep = Infinity /* removed maxRisk */;
-    let exitDaysCount = 0;
-    let highRestlessnessDaysCount = 0; // Still based on absolute threshold for now
-    let shortSleepDaysCount = 0;
-
-    relevantDays.forEach(day => {
-      const hours = day.inBedMinutes / 60;
-      const longSleep = parseFloat(day.longestContinuousSleepHours);
-      // REMOVED const risk = day.fallRiskScore;
-
-      if (hours > maxHours) { maxHours = hours; maxHoursDay = day.key; }
-      if (hours < minHours) { minHours = hours; minHoursDay = day.key; }
-      if (day.repositions > maxRepos) { maxRepos = day.repositions; maxReposDay = day.key; }
-      if (day.exits > 0) { exitDaysCount++; } // Use new exit count
-      // Keep high restlessness check based on original threshold for consistency?
-      // Or change this too? Let's keep it for now.
-      if ((day.restlessCounts['3'] || 0) > 60) {
-        highRestlessnessDaysCount++;
-      }
-      if (longSleep < minSleep) { minSleep = longSleep; minSleepDay = day.key; }
-      if (longSleep < 3) { shortSleepDaysCount++; }
-      // REMOVED if (risk > maxRisk) { maxRisk = risk; maxRiskDay = day.key; }
+  // Scored over all of the bed's nights, so the baseline reaches back before the range
+  const fallRiskScores = useMemo(() => computeFallRiskScores(enrichedDailyData, fallRiskConfig), [enrichedDailyData, fallRiskConfig]);
+
+  const updateFallRiskConfig = (changes) => {
+    setFallRiskConfig(prev => {
+      const next = { ...prev, ...changes, weights: { ...prev.weights, ...changes.weights } };
+      saveFallRiskConfig(next);
+      return next;
     });
+  };
 
-    const formatKeyDate = (key) => format(parseISO(key), 'MMM d');
+  // Nights that are unusual for this bed, also over all of its nights
+  const baselineAnomalies = useMemo(() => detectBaselineAnomalies(enrichedDailyData, baselineOptions), [enrichedDailyData, baselineOptions]);
 
-    const sentences = [
-      `Over ${summary.days} days analysed (${format(dateRange.start, 'MMM d')} to ${format(dateRange.end, 'MMM d')}), the average time in bed was ${summary.avgHours} hours/day (${summary.avgRestlessPercent}% restless) with ${summary.avgRepositions} repositions/night and ${summary.avgExits} exits/night. Median longest continuous sleep was ${summary.medianLongestSleep} hours.`, // Added avg exits
-      maxHoursDay && `Longest time in bed: ${maxHours.toFixed(1)}h on ${formatKeyDate(maxHoursDay)}.`,
-      minHoursDay && minHours !== Infinity && `Shortest time: ${minHours.toFixed(1)}h on ${formatKeyDate(minHoursDay)}.`,
-      maxReposDay && `Most repositions: ${maxRepos} on ${formatKeyDate(maxReposDay)}.`,
-      exitDaysCount > 0 && `Bed exits occurred on ${exitDaysCount} day(s).`,
-      shortSleepDaysCount > 0 && `${shortSleepDaysCount} night(s) had less than 3 hours of continuous sleep.`,
-      minSleepDay && minSleep !== Infinity && `Shortest continuous sleep: ${minSleep.toFixed(1)}h on ${formatKeyDate(minSleepDay)}.`,
-      // REMOVED Highest fall risk sentence
-      // highRestlessnessDaysCount > 0 && `Significant high restlessness (> ${highRestlessnessThreshold} min) observed on ${highRestlessnessDaysCount} day(s).` // Maybe remove this if covered by %?
-    ];
+  // Every exit of the selected bed (or each bed) as an episode, then only those in the range
+  const exitEpisodes = useMemo(
+    () => buildExitEpisodes(bedRows, { timeZone, nightStartHour, sensorCodes }),
+    [bedRows, timeZone, nightStartHour, sensorCodes]
+  );
+  const rangeExitEpisodes = useMemo(
+    () => (dateRange.start && dateRange.end ? exitEpisodes.filter(e => isWithinInterval(parseISO(e.nightKey), dateRange)) : []),
+    [exitEpisodes, dateRange]
+  );
 
-    return sentences.filter(Boolean).join(' ');
+  // Trend and change-point tests per metric over the range, same nights as the summary
+  const trendTests = useMemo(
+    () => detectTrends(enrichedDailyData, dateRange, { minCoveragePercent: includeLowCoverage ? null : minCoveragePercent }),
+    [enrichedDailyData, dateRange, minCoveragePercent, includeLowCoverage]
+  );
 
-  }, [enrichedDailyData, dateRange, summary]); // Depend on enriched data
+  const textualSummary = useMemo(
+    () => buildTextualSummary(enrichedDailyData, dateRange, summary, trendTests, fallRiskScores),
+    [enrichedDailyData, dateRange, summary, trendTests, fallRiskScores]
+  );
 
   // Calculate data for Trend Charts
-  const trendData = useMemo(() => {
-    if (!dateRange.start || !dateRange.end) return null;
-
-    const daysInRange = eachDayOfInterval({ start: dateRange.start, end: dateRange.end });
-    const labels = [];
-    const hours = [];
-    const repositions = [];
-    const exits = [];
-    const restlessPercents = []; // Add restless % data
-
-    daysInRange.forEach(day => {
-      const dayKey = format(day, 'yyyy-MM-dd');
-      const metrics = enrichedDailyData[dayKey]; // Use enriched data
-      labels.push(format(day, 'MMM d')); // Format for chart label
-      hours.push(metrics ? (metrics.inBedMinutes / 60) : 0);
-      repositions.push(metrics ? metrics.repositions : 0);
-      exits.push(metrics ? metrics.exits : 0);
-      restlessPercents.push(metrics ? parseFloat(metrics.restlessPercent) : 0);
-    });
+  const trendData = useMemo(
+    () => buildTrendData(enrichedDailyData, dateRange, baselineAnomalies, trendTests),
+    [enrichedDailyData, dateRange, baselineAnomalies, trendTests]
+  );
 
-    // Only return data if there's more than one day to show a trend
-    if (labels.length <= 1) return null;
+  // Every bed's nights, only worked out while the ward overview or a bed overlay needs them
+  const needsAllBeds = isWardView || overlayBeds.length > 0 || showWardAverage;
+  const allBedMetrics = useMemo(
+    () => (needsAllBeds ? computeBedDailyMetrics(rawRows, { timeZone, nightStartHour, turningIntervalMinutes, sensorCodes }) : {}),
+    [needsAllBeds, rawRows, timeZone, nightStartHour, turningIntervalMinutes, sensorCodes]
+  );
+  const wardOverview = useMemo(
+    () => (isWardView ? buildWardOverview(allBedMetrics, dateRange) : []),
+    [isWardView, allBedMetrics, dateRange]
+  );
 
-    return { labels, hours, repositions, exits, restlessPercents }; // Add restlessPercents
+  // Other beds' series and the ward average for the trend charts
+  const bedOverlays = useMemo(
+    () => overlayBeds
+      .filter(bed => bed !== selectedBed && allBedMetrics[bed])
+      .map(bed => ({ bed, color: bedColor(bed, bedNames), data: buildTrendData(allBedMetrics[bed], dateRange) }))
+      .filter(overlay => overlay.data),
+    [overlayBeds, selectedBed, allBedMetrics, bedNames, dateRange]
+  );
+  const wardAverageTrend = useMemo(
+    () => (showWardAverage ? buildWardAverageTrend(allBedMetrics, dateRange) : null),
+    [showWardAverage, allBedMetrics, dateRange]
+  );
 
-  }, [enrichedDailyData, dateRange]); // Depend on enriched data
+  // Comparison mode: the second range's KPIs and series, same bed and coverage rule
+  const compareSummary = useMemo(
+    () => (compareRange ? summarizeDays(enrichedDailyData, compareRange, { minCoveragePercent: includeLowCoverage ? null : minCoveragePercent }) : null),
+    [enrichedDailyData, compareRange, minCoveragePercent, includeLowCoverage]
+  );
+  const compareTrendData = useMemo(
+    () => (compareRange ? buildTrendData(enrichedDailyData, compareRange) : null),
+    [enrichedDailyData, compareRange]
+  );
 
   // ───────── Screenshot ─────────
   const savePNG = () => {
     const node = document.getElementById("calendar-wrapper");
+    if (!node) {
+      alert("Open the single-bed view to save its calendar.");
+      return;
+    }
     html2canvas(node).then((canvas) => {
       const link = document.createElement("a");
       link.download = "bedsense_calendar.png";
@@ -513,10 +823,17 @@ export default function BedSenseDashboard() {
     });
   };
 
+  // ───────── Metrics export ─────────
+  const exportDailyMetrics = (exportFormat, allBeds) => {
+    if (!dateRange.start || !dateRange.end) return;
+    const beds = allBeds || !selectedBed ? bedNames : [selectedBed];
+    downloadDailyMetrics(exportFormat, { rawRows, beds, dateRange, timeZone, nightStartHour, turningIntervalMinutes, sensorCodes });
+  };
+
   // ───────── Preset Date Handlers ─────────
   const setPresetRange = (days) => {
     if (!rawRows.length) return;
-    const maxDate = dateMax(rawRows.map((r) => r.start));
+    const maxDate = toNightDay(dateMax(rawRows.map((r) => r.start)), timeZone, nightStartHour);
     const start = subDays(maxDate, days - 1);
     setDateRange({ start, end: maxDate });
     handleCloseModal();
@@ -524,29 +841,31 @@ export default function BedSenseDashboard() {
 
   const setThisMonthRange = () => {
     if (!rawRows.length) return;
-    const now = new Date();
+    const now = toCalendarDay(new Date(), timeZone); // "this month" as seen at the facility
     const start = startOfMonth(now);
     const end = endOfMonth(now);
-    const maxDataDate = dateMax(rawRows.map(r => r.start));
-    setDateRange({ start: dateMax([start, dateMin(rawRows.map(r => r.start))]), end: dateMin([end, maxDataDate]) });
+    const maxDataDate = toNightDay(dateMax(rawRows.map(r => r.start)), timeZone, nightStartHour);
+    const minDataDate = toNightDay(dateMin(rawRows.map(r => r.start)), timeZone, nightStartHour);
+    setDateRange({ start: dateMax([start, minDataDate]), end: dateMin([end, maxDataDate]) });
     handleCloseModal();
   };
 
   const setLastMonthRange = () => {
     if (!rawRows.length) return;
-    const lastMonth = subMonths(new Date(), 1);
+    const lastMonth = subMonths(toCalendarDay(new Date(), timeZone), 1);
     const start = startOfMonth(lastMonth);
     const end = endOfMonth(lastMonth);
-    const maxDataDate = dateMax(rawRows.map(r => r.start));
-    const minDataDate = dateMin(rawRows.map(r => r.start));
+    const maxDataDate = toNightDay(dateMax(rawRows.map(r => r.start)), timeZone, nightStartHour);
+    const minDataDate = toNightDay(dateMin(rawRows.map(r => r.start)), timeZone, nightStartHour);
     setDateRange({ start: dateMax([start, minDataDate]), end: dateMin([end, maxDataDate]) });
     handleCloseModal();
   };
 
   // ───────── Modal Handlers ─────────
-  const handleDayClick = useCallback((dayKey) => {
+  const handleDayClick = useCallback((dayKey, hour = null) => {
     if (dailyData[dayKey]) {
       setSelectedDayKey(dayKey);
+      setFocusHour(hour);
       setIsDetailModalOpen(true);
     }
   }, [dailyData]);
@@ -554,25 +873,78 @@ export default function BedSenseDashboard() {
   const handleCloseModal = useCallback(() => {
     setIsDetailModalOpen(false);
     setSelectedDayKey(null);
+    setFocusHour(null);
   }, []);
 
   // ───────── Render ─────────
   // --- Render Logic Change ---
+  // 0. Column mapping wizard (file with non-standard headers is waiting)
+  if (pendingMapping) {
+    return (
+      <ColumnMappingWizard
+        timeZone={timeZone}
+        sensorCodes={sensorCodes}
+        fileName={pendingMapping.fileName}
+        headers={pendingMapping.headers}
+        previewRows={pendingMapping.previewRows}
+        onApply={closeColumnMapping}
+        onSkip={() => closeColumnMapping(null)}
+      />
+    );
+  }
+
   // 1. Initial Setup Screen (if no data)
   if (rawRows.length === 0 && !isLoading) {
-    return <InitialSetupScreen onFileLoad={handleFile} isLoading={isLoading} />;
+    return (
+      <InitialSetupScreen
+        onFileLoad={handleFiles}
+        isLoading={isLoading}
+        importReport={importReport}
+        timeZone={timeZone}
+        onTimeZoneChange={changeTimeZone}
+        onOpenDataset={openSavedDataset}
+        liveProps={liveProps}
+      />
+    );
   }
 
   // 2. Loading Screen
   if (isLoading) {
      return (
         <div style={loadingOverlayStyle}>
-           Loading and processing data...
+           {importProgress
+             ? <ImportProgressPanel progress={importProgress} onCancel={cancelImport} />
+             : 'Loading and processing data...'}
         </div>
      );
   }
 
-  // 3. Main Dashboard (if data loaded)
+  // 3. Printable report (replaces the dashboard until closed)
+  if (reportSections) {
+    return (
+      <ClinicalReport
+        sections={reportSections}
+        onClose={() => setReportSections(null)}
+        bedName={selectedBed}
+        dateRange={dateRange}
+        timeZone={timeZone}
+        nightStartHour={nightStartHour}
+        summary={summary}
+        textualSummary={textualSummary}
+        trendData={trendData}
+        daysInView={daysInView}
+        enrichedDailyData={enrichedDailyData}
+        highRestlessPercentThreshold={highRestlessPercentThreshold}
+        rowsByNight={bedRowsByNight}
+        riskScores={fallRiskConfig.showBadges ? fallRiskScores : null}
+        anomalies={baselineAnomalies}
+        minCoveragePercent={minCoveragePercent}
+        sensorCodes={sensorCodes}
+      />
+    );
+  }
+
+  // 4. Main Dashboard (if data loaded)
   return (
     <div
       style={{
@@ -580,34 +952,28 @@ export default function BedSenseDashboard() {
         background: "linear-gradient(135deg, #a6f2e6 0%, #d0d9ff 100%)",
         fontFamily: "Inter, sans-serif",
         fontSize: '15px',
-        // REMOVED display: flex (no longer needed for sidebar)
         padding: 32, // Add padding directly to the main container
       }}
-      // REMOVED onDragOver and onDrop
     >
-      {/* REMOVED Sidebar Component */}
-      {/* REMOVED Sidebar Toggle Button */}
-
       {/* Main Content Area - Now the primary container */}
       <div
         style={{
           maxWidth: '1600px', // Wider max width maybe?
           margin: '0 auto', // Center content
-          // REMOVED flexGrow, marginLeft, transition, overflowY, height
         }}
       >
         <motion.h1
           initial={{ opacity: 0, y: -20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.6 }}
-          style={{ color: "#1e1b4b", fontSize: 32, fontWeight: 800, marginBottom: 24, textAlign: 'center' }} // Center title
+          style={{ color: "#1e1b4b", fontSize: 32, fontWeight: 800, marginBottom: 4, textAlign: 'center' }} // Center title
         >
           BedSense Trend Dashboard
         </motion.h1>
-
-        {/* REMOVED Latest Night Summary Card */}
-        {/* REMOVED Loading Indicator (handled above) */}
-        {/* REMOVED Empty State Prompt (handled by InitialSetupScreen) */}
+        {/* Active facility time zone - all days and times below are in this zone */}
+        <div style={{ textAlign: 'center', fontSize: 13, color: '#475569', marginBottom: 24 }}>
+          Times shown in <strong>{timeZone}</strong>
+        </div>
 
         {/* Main Dashboard Content Grid */}
         {rawRows.length > 0 && ( // Should always be true here, but keep check
@@ -623,90 +989,210 @@ export default function BedSenseDashboard() {
                 bedNames={bedNames}
                 selectedBed={selectedBed}
                 setSelectedBed={setSelectedBed}
+                isWardView={isWardView}
+                setIsWardView={setIsWardView}
                 dateRange={dateRange}
                 setDateRange={setDateRange}
+                compareRange={compareRange}
+                setCompareRange={setCompareRange}
                 setPresetRange={setPresetRange}
                 setThisMonthRange={setThisMonthRange}
                 setLastMonthRange={setLastMonthRange}
                 highRestlessPercentThreshold={highRestlessPercentThreshold}
                 setHighRestlessPercentThreshold={setHighRestlessPercentThreshold}
                 savePNG={savePNG}
+                onExportMetrics={exportDailyMetrics}
+                fallRiskConfig={fallRiskConfig}
+                onFallRiskConfigChange={updateFallRiskConfig}
+                baselineOptions={baselineOptions}
+                onBaselineOptionsChange={(changes) => setBaselineOptions(prev => ({ ...prev, ...changes }))}
+                onBuildReport={() => setIsReportBuilderOpen(true)}
+                timeZone={timeZone}
+                onTimeZoneChange={changeTimeZone}
+                nightStartHour={nightStartHour}
+                onNightStartHourChange={changeNightStartHour}
+                turningIntervalMinutes={turningIntervalMinutes}
+                onTurningIntervalChange={(minutes) => { setTurningIntervalMinutes(minutes); saveTurningInterval(minutes); }}
+                sensorCodeProfileName={sensorCodeProfile.name}
+                onEditSensorCodes={() => setIsSensorCodesOpen(true)}
+                minCoveragePercent={minCoveragePercent}
+                setMinCoveragePercent={setMinCoveragePercent}
+                includeLowCoverage={includeLowCoverage}
+                setIncludeLowCoverage={setIncludeLowCoverage}
+                liveProps={liveProps}
+                loadedFiles={loadedFiles}
+                onAddFiles={(files) => handleFiles(files, { append: true })}
                 onNewFile={() => { /* Logic to trigger new file upload - maybe reset state? */
                    setRawRows([]); // Go back to initial setup screen
+                   setCurrentDataset(null);
+                   setLoadedFiles([]);
+                   setImportReport(null);
                    // Reset other states as needed
                    setDateRange({ start: null, end: null });
+                   setCompareRange(null);
                    setBedNames([]);
                    setSelectedBed(null);
+                   setIsWardView(false);
+                   setOverlayBeds([]);
+                   setShowWardAverage(false);
                    setSelectedDayKey(null);
                 }}
             />
 
-            {/* KPI Strip (Sticky) */}
-            {summary && (
-               <div style={{
-                 position: 'sticky',
-                 top: 0, // Stick to top of viewport
-                 zIndex: 10,
-                 backgroundColor: 'rgba(218, 228, 255, 0.8)', // Light blue semi-transparent background when sticky
-                 backdropFilter: 'blur(8px)',
-                 padding: '10px 0', // Add padding when sticky
-                 borderRadius: '12px', // Match card rounding
-                 boxShadow: '0 4px 10px rgba(0, 0, 0, 0.1)', // Add shadow when sticky
-                 marginTop: '-10px', // Offset padding slightly if needed
-                 marginBottom: '16px' // Space below sticky KPI
-               }}>
-                  <Card style={{
-                      display: "flex",
-                      gap: 32,
-                      justifyContent: "space-around",
-                      flexWrap: 'wrap',
-                      marginBottom: 0, // Remove bottom margin as it's handled by wrapper
-                      background: 'transparent', // Make card background transparent
-                      boxShadow: 'none', // Remove card shadow as wrapper has it
-                  }}>
-                    <Stat label="Avg hours in bed / day" value={summary.avgHours} />
-                    <Stat label="Avg repositions / night" value={summary.avgRepositions} />
-                    <Stat label="Avg exits / night" value={summary.avgExits} /> {/* Add avg exits stat */}
-                    <Stat label="Avg Restless %" value={summary.avgRestlessPercent ? `${summary.avgRestlessPercent}%` : 'N/A'} />
-                    <Stat label="Median Longest Sleep (h)" value={summary.medianLongestSleep || 'N/A'} />
-                    <Stat label="Days analysed" value={summary.days} />
-                  </Card>
-               </div>
+            {/* Validation report of the latest import */}
+            {importReport && (
+              <ImportReportCard report={importReport} onDismiss={() => setImportReport(null)} />
             )}
 
-             {/* Textual Summary */}
-             {textualSummary && (
-               <Card>
-                 <h4 style={{ marginTop: 0, marginBottom: 12, color: '#1e1b4b', fontWeight: 600 }}>Summary</h4>
-                 <p style={{ margin: 0, color: '#334155', lineHeight: 1.6 }}>
-                   {textualSummary}
-                 </p>
-               </Card>
-             )}
+            {/* Ward overview, or the single-bed view below */}
+            {isWardView ? (
+              <Card>
+                <WardOverview
+                  beds={wardOverview}
+                  dateRange={dateRange}
+                  onSelectBed={(bed) => {
+                    // Drill down into the bed's own view, same range; a night is opened from there
+                    setSelectedBed(bed);
+                    setIsWardView(false);
+                    handleCloseModal();
+                  }}
+                />
+              </Card>
+            ) : (
+              <>
+                {/* KPI Strip (Sticky) */}
+                {summary && (
+                   <div style={{
+                     position: 'sticky',
+                     top: 0, // Stick to top of viewport
+                     zIndex: 10,
+                     backgroundColor: 'rgba(218, 228, 255, 0.8)', // Light blue semi-transparent background when sticky
+                     backdropFilter: 'blur(8px)',
+                     padding: '10px 0', // Add padding when sticky
+                     borderRadius: '12px', // Match card rounding
+                     boxShadow: '0 4px 10px rgba(0, 0, 0, 0.1)', // Add shadow when sticky
+                     marginTop: '-10px', // Offset padding slightly if needed
+                     marginBottom: '16px' // Space below sticky KPI
+                   }}>
+                      <Card style={{
+                          display: "flex",
+                          gap: 32,
+                          justifyContent: "space-around",
+                          flexWrap: 'wrap',
+                          marginBottom: 0, // Remove bottom margin as it's handled by wrapper
+                          background: 'transparent', // Make card background transparent
+                          boxShadow: 'none', // Remove card shadow as wrapper has it
+                      }}>
+                        <SummaryStats summary={summary} />
+                      </Card>
+                   </div>
+                )}
+
+                 {/* Every night in the range was left out for low coverage */}
+                 {!summary && dateRange.start && dateRange.end && Object.keys(enrichedDailyData).some(key => isWithinInterval(parseISO(key), dateRange)) && (
+                   <Card>
+                     <p style={{ margin: 0, color: '#334155' }}>
+                       Every night in this range has less than {minCoveragePercent}% sensor coverage, so there are no averages.
+                       Tick "Include low-coverage nights in averages" or lower the minimum coverage to see them.
+                     </p>
+                   </Card>
+                 )}
 
-             {/* Trend Analysis Charts */}
-             {trendData && (
-               <Card>
-                 <h4 style={{ marginTop: 0, marginBottom: 20, color: '#1e1b4b', fontWeight: 600 }}>Trend Analysis</h4>
-                 <TrendCharts data={trendData} /> {/* Will update this component next */}
-               </Card>
-             )}
+                 {/* Side-by-side comparison with the second range */}
+                 {compareRange && dateRange.start && (
+                   <Card>
+                     <RangeComparison
+                       rows={compareSummaries(summary, compareSummary)}
+                       currentLabel={formatRange(dateRange)}
+                       comparedLabel={formatRange(compareRange)}
+                     />
+                   </Card>
+                 )}
 
-             {/* Calendar */}
-             <div id="calendar-wrapper"> {/* Removed margin top, handled by gap */}
-               {daysInView.length > 0 && (
-                 <CalendarGrid
-                   days={daysInView}
-                   data={enrichedDailyData}
-                   onDayClick={handleDayClick}
-                   selectedDayKey={selectedDayKey}
-                   highRestlessPercentThreshold={highRestlessPercentThreshold}
-                   selectedDateRange={dateRange}
-                   // REMOVED palette={currentPalette} (no longer needed)
-                   // REMOVED getRiskScoreColor (no longer needed)
-                 />
-               )}
-             </div>
+                 {/* Textual Summary */}
+                 {textualSummary && (
+                   <Card>
+                     <h4 style={{ marginTop: 0, marginBottom: 12, color: '#1e1b4b', fontWeight: 600 }}>Summary</h4>
+                     <p style={{ margin: 0, color: '#334155', lineHeight: 1.6 }}>
+                       {textualSummary}
+                     </p>
+                   </Card>
+                 )}
+
+                 {/* Nights that deviate from the bed's own baseline */}
+                 {dateRange.start && (
+                   <Card>
+                     <AnomalyList anomalies={baselineAnomalies} dateRange={dateRange} baselineNights={baselineOptions.baselineNights} onSelect={handleDayClick} />
+                   </Card>
+                 )}
+
+                 {/* Trend Analysis Charts */}
+                 {trendData && (
+                   <Card>
+                     <h4 style={{ marginTop: 0, marginBottom: 20, color: '#1e1b4b', fontWeight: 600 }}>Trend Analysis</h4>
+                     {bedNames.length > 1 && (
+                       <BedOverlayPicker
+                         bedNames={bedNames}
+                         selectedBed={selectedBed}
+                         overlayBeds={overlayBeds}
+                         onChange={setOverlayBeds}
+                         showWardAverage={showWardAverage}
+                         onShowWardAverageChange={setShowWardAverage}
+                       />
+                     )}
+                     <TrendCharts
+                       data={trendData}
+                       bedName={selectedBed}
+                       bedOverlays={bedOverlays}
+                       wardAverage={wardAverageTrend}
+                       compareData={compareTrendData}
+                       periodLabels={compareRange ? { current: formatRange(dateRange), compared: formatRange(compareRange) } : null}
+                     />
+                   </Card>
+                 )}
+
+                 {/* Bed-exit episodes */}
+                 {dateRange.start && (
+                   <Card>
+                     <h4 style={{ marginTop: 0, marginBottom: 20, color: '#1e1b4b', fontWeight: 600 }}>Bed Exits</h4>
+                     <ExitAnalysis episodes={rangeExitEpisodes} timeZone={timeZone} nightStartHour={nightStartHour} showBed={!selectedBed} onSelect={handleDayClick} />
+                   </Card>
+                 )}
+
+                 {/* Hour-of-night x date heatmap */}
+                 {dateRange.start && dateRange.end && (
+                   <Card>
+                     <h4 style={{ marginTop: 0, marginBottom: 16, color: '#1e1b4b', fontWeight: 600 }}>Hourly Patterns</h4>
+                     <HourlyHeatmap
+                       rows={bedRows}
+                       rowsByNight={bedRowsByNight}
+                       dateRange={dateRange}
+                       timeZone={timeZone}
+                       nightStartHour={nightStartHour}
+                       sensorCodes={sensorCodes}
+                       onSelect={handleDayClick}
+                     />
+                   </Card>
+                 )}
+
+                 {/* Calendar */}
+                 <div id="calendar-wrapper">
+                   {daysInView.length > 0 && (
+                     <CalendarGrid
+                       days={daysInView}
+                       data={enrichedDailyData}
+                       onDayClick={handleDayClick}
+                       selectedDayKey={selectedDayKey}
+                       highRestlessPercentThreshold={highRestlessPercentThreshold}
+                       selectedDateRange={dateRange}
+                       riskScores={fallRiskConfig.showBadges ? fallRiskScores : null}
+                       anomalies={baselineAnomalies}
+                       minCoveragePercent={minCoveragePercent}
+                     />
+                   )}
+                 </div>
+              </>
+            )}
 
               {/* Controls Card MOVED UP */}
               {/* Summary Stats MOVED UP - Made Sticky */}
@@ -714,19 +1200,46 @@ export default function BedSenseDashboard() {
 
             {/* Detail Modal */}
             <DayDetailModal
+              timeZone={timeZone}
               isOpen={isDetailModalOpen}
               onClose={handleCloseModal}
               dayData={selectedDayKey ? enrichedDailyData[selectedDayKey] : null}
               avgData={summary} // Pass updated summary with avgExits
               dayKey={selectedDayKey}
-              // Corrected typo: selectedKey -> selectedDayKey
-              // Also filter by selectedBed if applicable
-              rawRowsForDay={selectedDayKey ? rawRows.filter(r => 
-                  (selectedBed ? r.bed_name === selectedBed : true) && 
-                  format(r.start, "yyyy-MM-dd") === selectedDayKey
-              ) : []} 
-              // REMOVED highRestlessPercentThreshold prop
+              rawRowsForDay={(selectedDayKey && bedRowsByNight[selectedDayKey]) || []}
+              nightStartHour={nightStartHour}
+              fallRisk={selectedDayKey ? fallRiskScores[selectedDayKey] : null}
+              sensorCodes={sensorCodes}
+              focusHour={focusHour}
             />
+
+            {/* Sensor code dictionary */}
+            {isSensorCodesOpen && (
+              <SensorCodesModal
+                activeProfile={sensorCodeProfile}
+                onClose={() => setIsSensorCodesOpen(false)}
+                onUse={(profile) => {
+                  setSensorCodeProfile(profile);
+                  saveActiveSensorCodeProfile(profile.name);
+                  setIsSensorCodesOpen(false);
+                }}
+              />
+            )}
+
+            {/* Report Builder */}
+            {isReportBuilderOpen && (
+              <ReportBuilderModal
+                onClose={() => setIsReportBuilderOpen(false)}
+                flaggedNightCount={Object.keys(enrichedDailyData).filter(key =>
+                  isWithinInterval(parseISO(key), dateRange) &&
+                  getNightFlags(enrichedDailyData[key], highRestlessPercentThreshold).length > 0
+                ).length}
+                onBuild={(sections) => {
+                  setIsReportBuilderOpen(false);
+                  setReportSections(sections);
+                }}
+              />
+            )}
           </div> // End Main Dashboard Content Grid
         )}
       </div> {/* End Main Content Area */}
@@ -735,12 +1248,12 @@ export default function BedSenseDashboard() {
 }
 
 // ────────────────── Initial Setup Screen (New) ──────────────────
-const InitialSetupScreen = ({ onFileLoad, isLoading }) => {
+const InitialSetupScreen = ({ onFileLoad, isLoading, importReport, timeZone, onTimeZoneChange, onOpenDataset, liveProps }) => {
   const onDragOver = (e) => e.preventDefault();
   const onDrop = (e) => {
     e.preventDefault();
     if (e.dataTransfer.files?.length) {
-      onFileLoad(e.dataTransfer.files[0]);
+      onFileLoad(e.dataTransfer.files);
     }
   };
 
@@ -749,6 +1262,7 @@ const InitialSetupScreen = ({ onFileLoad, isLoading }) => {
       style={{
         minHeight: '100vh',
         display: 'flex',
+        flexDirection: 'column',
         alignItems: 'center',
         justifyContent: 'center',
         background: "linear-gradient(135deg, #a6f2e6 0%, #d0d9ff 100%)",
@@ -761,12 +1275,14 @@ const InitialSetupScreen = ({ onFileLoad, isLoading }) => {
       <Card style={{ maxWidth: 500, width: '100%', textAlign: 'center' }}>
         <h2 style={{ color: '#1e1b4b', marginBottom: 15 }}>Load BedSense Data</h2>
         <p style={{ color: '#475569', marginBottom: 25 }}>
-          Drag & drop your CSV file here, or click below to select a file.
+          Drag & drop one or more CSV, JSON or NDJSON files here, or click below to select them.
+          Multiple exports are merged into one dataset.
         </p>
         <Input
           type="file"
-          accept=".csv"
-          onChange={(e) => e.target.files && e.target.files.length > 0 && onFileLoad(e.target.files[0])}
+          accept={IMPORT_FILE_ACCEPT}
+          multiple
+          onChange={(e) => e.target.files && e.target.files.length > 0 && onFileLoad(e.target.files)}
           disabled={isLoading}
           style={{
              display: 'block',
@@ -778,19 +1294,337 @@ const InitialSetupScreen = ({ onFileLoad, isLoading }) => {
              cursor: 'pointer',
           }}
         />
+        <div style={{ marginTop: 20, textAlign: 'left' }}>
+          <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Facility time zone</label>
+          <TimeZoneSelect value={timeZone} onChange={onTimeZoneChange} />
+          <p style={{ fontSize: 12, color: '#64748b', marginBottom: 0 }}>
+            Timestamps without an offset are read in this zone, and nights are grouped by it.
+          </p>
+        </div>
+        <div style={{ marginTop: 20, textAlign: 'left' }}>
+          <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Or watch a live feed</label>
+          <LiveModeControls {...liveProps} />
+        </div>
         {isLoading && <p style={{ marginTop: 20, color: '#475569' }}>Processing file...</p>}
       </Card>
+      {/* Previously imported datasets, reopened without the original files */}
+      {isDatasetStoreAvailable() && (
+        <div style={{ maxWidth: 700, width: '100%' }}>
+          <DatasetLibrary onOpen={onOpenDataset} timeZone={timeZone} />
+        </div>
+      )}
+      {/* Shown here when an import produced no usable rows */}
+      {importReport && (
+        <div style={{ maxWidth: 700, width: '100%' }}>
+          <ImportReportCard report={importReport} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ────────────────── Dataset Library ──────────────────
+const DatasetLibrary = ({ onOpen, timeZone }) => {
+  const [datasets, setDatasets] = useState([]);
+
+  const refresh = useCallback(() => {
+    listDatasets()
+      .then(setDatasets)
+      .catch(error => console.error("Could not list saved datasets:", error));
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleRename = (dataset) => {
+    const name = window.prompt("Rename dataset", dataset.name);
+    if (!name || !name.trim() || name.trim() === dataset.name) return;
+    renameDataset(dataset.id, name.trim()).then(refresh)
+      .catch(error => console.error("Could not rename dataset:", error));
+  };
+
+  const handleDelete = (dataset) => {
+    if (!window.confirm(`Delete "${dataset.name}" from this browser?`)) return;
+    deleteDataset(dataset.id).then(refresh)
+      .catch(error => console.error("Could not delete dataset:", error));
+  };
+
+  if (!datasets.length) return null;
+
+  const formatDay = (date) => (date ? formatInZone(date, 'MMM d, yyyy', timeZone) : '?');
+
+  return (
+    <Card>
+      <h4 style={{ marginTop: 0, marginBottom: 12, color: '#1e1b4b', fontWeight: 600 }}>Saved Datasets</h4>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        {datasets.map(dataset => (
+          <div key={dataset.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', borderBottom: '1px solid #e2e8f0', paddingBottom: 10 }}>
+            <div style={{ fontSize: 13, color: '#334155', minWidth: 0 }}>
+              <div style={{ fontWeight: 600, color: '#1e1b4b' }}>{dataset.name}</div>
+              <div>
+                {formatDay(dataset.start)} – {formatDay(dataset.end)} · {dataset.beds.length} bed{dataset.beds.length === 1 ? '' : 's'} · {dataset.rowCount.toLocaleString()} rows
+              </div>
+              <div style={{ fontSize: 12, color: '#64748b' }} title={dataset.beds.join(', ')}>
+                Imported {formatInZone(dataset.importedAt, 'MMM d, yyyy HH:mm', timeZone)}
+                {dataset.beds.length > 0 && ` · ${dataset.beds.slice(0, 4).join(', ')}${dataset.beds.length > 4 ? ', …' : ''}`}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+              <Button active onClick={() => onOpen(dataset)}>Open</Button>
+              <Button onClick={() => handleRename(dataset)}>Rename</Button>
+              <Button onClick={() => handleDelete(dataset)}>Delete</Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
+// ────────────────── Import Progress Panel ──────────────────
+const ImportProgressPanel = ({ progress, onCancel }) => {
+  const { fileName, fileIndex, fileCount, rows, bytes, totalBytes, startedAt } = progress;
+  const percent = totalBytes > 0 ? Math.min(100, (bytes / totalBytes) * 100) : 0;
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+  const rowsPerSecond = elapsedSeconds > 0 ? Math.round(rows / elapsedSeconds) : 0;
+
+  return (
+    <Card style={{ maxWidth: 460, width: '90%', marginBottom: 0 }}>
+      <h4 style={{ marginTop: 0, marginBottom: 6, color: '#1e1b4b', fontWeight: 600 }}>Importing {fileName}</h4>
+      {fileCount > 1 && (
+        <p style={{ marginTop: 0, fontSize: 13, color: '#64748b' }}>File {fileIndex + 1} of {fileCount}</p>
+      )}
+      <div style={{ height: 12, background: '#e0e7ff', borderRadius: 6, overflow: 'hidden', margin: '12px 0' }}>
+        <div style={{ width: `${percent}%`, height: '100%', background: '#6366f1', transition: 'width .2s ease-out' }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 13, color: '#334155', marginBottom: 16 }}>
+        <span>{percent.toFixed(0)}% · {rows.toLocaleString()} rows</span>
+        <span>{rowsPerSecond.toLocaleString()} rows/s</span>
+      </div>
+      <Button onClick={onCancel}>Cancel</Button>
+    </Card>
+  );
+};
+
+// ────────────────── Import Report Card ──────────────────
+const ImportReportCard = ({ report, onDismiss }) => {
+  const totals = report.files.reduce((acc, f) => ({
+    total: acc.total + f.total,
+    accepted: acc.accepted + f.accepted,
+    rejected: acc.rejected + f.rejected,
+    suspicious: acc.suspicious + f.suspicious,
+  }), { total: 0, accepted: 0, rejected: 0, suspicious: 0 });
+
+  const cellStyle = { padding: '4px 10px', borderBottom: '1px solid #e2e8f0', textAlign: 'left' };
+  const formatReasons = (reasonCounts) => Object.entries(reasonCounts)
+    .map(([reason, count]) => `${VALIDATION_REASONS[reason].label}: ${count}`)
+    .join(', ') || '—';
+
+  return (
+    <Card>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <h4 style={{ margin: 0, color: '#1e1b4b', fontWeight: 600 }}>Import Report</h4>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {report.rejectedRows.length > 0 && (
+            <Button onClick={() => downloadRejectedRows(report.rejectedRows)}>Download Rejected Rows</Button>
+          )}
+          {onDismiss && <Button onClick={onDismiss}>Dismiss</Button>}
+        </div>
+      </div>
+      <p style={{ marginTop: 0, color: '#334155', fontSize: 14 }}>
+        {totals.accepted} of {totals.total} rows accepted, {totals.rejected} rejected, {totals.suspicious} suspicious
+        (kept, but with an unknown type or value).
+      </p>
+      <table style={{ borderCollapse: 'collapse', fontSize: 12, color: '#334155', width: '100%' }}>
+        <thead>
+          <tr>
+            {['File', 'Accepted', 'Rejected', 'Suspicious', 'Reasons'].map(h => (
+              <th key={h} style={{ ...cellStyle, fontWeight: 600 }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {report.files.map((f, i) => (
+            <tr key={`${f.name}-${i}`}>
+              <td style={cellStyle}>{f.name}</td>
+              <td style={cellStyle}>{f.accepted}</td>
+              <td style={{ ...cellStyle, color: f.rejected ? '#ef4444' : undefined }}>{f.rejected}</td>
+              <td style={{ ...cellStyle, color: f.suspicious ? '#f59e0b' : undefined }}>{f.suspicious}</td>
+              <td style={cellStyle}>{formatReasons(f.reasonCounts)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </Card>
+  );
+};
+
+// ────────────────── Column Mapping Wizard ──────────────────
+const ColumnMappingWizard = ({ fileName, headers, previewRows, timeZone, sensorCodes, onApply, onSkip }) => {
+  const [profiles, setProfiles] = useState(loadMappingProfiles);
+  // Start from a saved profile that fits these headers, otherwise from a guess
+  const [mapping, setMapping] = useState(() => {
+    const fittingProfile = Object.values(loadMappingProfiles()).find(p => mappingFitsHeaders(p, headers));
+    return fittingProfile ? { ...DEFAULT_COLUMN_MAPPING, ...fittingProfile } : guessColumnMapping(headers);
+  });
+  const [profileName, setProfileName] = useState('');
+
+  const missingFields = MAPPING_FIELDS.filter(f => f.required && !mapping[f.key]);
+  // Checked against the active code dictionary, the same as the import itself
+  const previewParsed = toDashboardRows(previewRows, fileName, mapping, timeZone, sensorCodes);
+
+  const saveProfile = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    const updated = { ...profiles, [name]: mapping };
+    saveMappingProfiles(updated);
+    setProfiles(updated);
+    setProfileName('');
+  };
+
+  const deleteProfile = (name) => {
+    const { [name]: _removed, ...rest } = profiles;
+    saveMappingProfiles(rest);
+    setProfiles(rest);
+  };
+
+  const labelStyle = { fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' };
+  const selectStyle = { padding: "0.5rem", borderRadius: 8, border: "1px solid #cbd5e1", width: '100%', height: '38px' };
+  const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #e2e8f0', textAlign: 'left', whiteSpace: 'nowrap' };
+
+  return (
+    <div
+      style={{
+        minHeight: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: "linear-gradient(135deg, #a6f2e6 0%, #d0d9ff 100%)",
+        padding: 32,
+        fontFamily: "Inter, sans-serif",
+      }}
+    >
+      <Card style={{ maxWidth: 900, width: '100%' }}>
+        <h2 style={{ color: '#1e1b4b', marginTop: 0, marginBottom: 8 }}>Map Columns</h2>
+        <p style={{ color: '#475569', marginTop: 0, marginBottom: 20 }}>
+          <strong>{fileName}</strong> does not use the standard fields
+          (start_at, end_at, bed_name, type, value). Pick which column holds each field.
+        </p>
+
+        {/* Saved profiles */}
+        {Object.keys(profiles).length > 0 && (
+          <div style={{ marginBottom: 20 }}>
+            <label style={labelStyle}>Saved profiles</label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              {Object.entries(profiles).map(([name, profile]) => (
+                <span key={name} style={{ display: 'inline-flex', gap: '4px' }}>
+                  <Button
+                    onClick={() => setMapping({ ...DEFAULT_COLUMN_MAPPING, ...profile })}
+                    title={mappingFitsHeaders(profile, headers) ? 'Apply this profile' : 'Some columns of this profile are missing in this file'}
+                  >
+                    {name}{mappingFitsHeaders(profile, headers) ? '' : ' (partial)'}
+                  </Button>
+                  <Button onClick={() => deleteProfile(name)} title={`Delete profile "${name}"`}>✕</Button>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Field selectors */}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: 20 }}>
+          {MAPPING_FIELDS.map(({ key, label, required }) => (
+            <div key={key}>
+              <label style={labelStyle}>{label}{required ? ' *' : ''}</label>
+              <select
+                value={mapping[key]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [key]: e.target.value }))}
+                style={selectStyle}
+              >
+                <option value="">{required ? '— choose column —' : '— none —'}</option>
+                {headers.map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </div>
+          ))}
+          <div>
+            <label style={labelStyle}>Date format</label>
+            <Input
+              type="text"
+              value={mapping.dateFormat}
+              placeholder="ISO (leave empty)"
+              onChange={(e) => setMapping(prev => ({ ...prev, dateFormat: e.target.value }))}
+              title='date-fns pattern, e.g. "dd/MM/yyyy HH:mm". With separate time columns it covers "date time".'
+              style={{ ...selectStyle, boxSizing: 'border-box' }}
+            />
+          </div>
+        </div>
+
+        {/* Preview of the first rows with the current mapping */}
+        <label style={labelStyle}>Preview ({previewParsed.length} of {previewRows.length} sample rows parse correctly)</label>
+        <div style={{ overflowX: 'auto', marginBottom: 20 }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: 12, color: '#334155', width: '100%' }}>
+            <thead>
+              <tr>
+                {headers.map(h => <th key={h} style={{ ...cellStyle, fontWeight: 600 }}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row, i) => (
+                <tr key={i}>
+                  {headers.map(h => <td key={h} style={cellStyle}>{row[h]}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {previewParsed.length > 0 && (
+          <p style={{ fontSize: 12, color: '#475569', marginTop: 0, marginBottom: 20 }}>
+            First row reads as: bed <strong>{previewParsed[0].bed_name}</strong>, {previewParsed[0].type} = {previewParsed[0].value},
+            {' '}{formatInZone(previewParsed[0].start, 'yyyy-MM-dd HH:mm', timeZone)} → {formatInZone(previewParsed[0].end, 'yyyy-MM-dd HH:mm', timeZone)} ({timeZone})
+          </p>
+        )}
+
+        {/* Save as profile + actions */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', justifyContent: 'space-between' }}>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Input
+              type="text"
+              value={profileName}
+              placeholder="Profile name"
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+            <Button onClick={saveProfile} disabled={!profileName.trim()}>Save Profile</Button>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Button onClick={onSkip}>Skip File</Button>
+            <Button active onClick={() => onApply(mapping)} disabled={missingFields.length > 0}>
+              Import with this Mapping
+            </Button>
+          </div>
+        </div>
+        {missingFields.length > 0 && (
+          <p style={{ fontSize: 12, color: '#ef4444', marginBottom: 0 }}>
+            Still missing: {missingFields.map(f => f.label).join(', ')}
+          </p>
+        )}
+      </Card>
     </div>
   );
 };
 
 // ────────────────── Controls Card (New - Replaces Sidebar) ──────────────────
 const ControlsCard = ({
-  bedNames, selectedBed, setSelectedBed, dateRange, setDateRange,
+  bedNames, selectedBed, setSelectedBed, isWardView, setIsWardView, dateRange, setDateRange, compareRange, setCompareRange,
   setPresetRange, setThisMonthRange, setLastMonthRange,
-  highRestlessPercentThreshold, setHighRestlessPercentThreshold, savePNG, onNewFile
+  highRestlessPercentThreshold, setHighRestlessPercentThreshold, savePNG, onExportMetrics, onBuildReport, onNewFile,
+  fallRiskConfig, onFallRiskConfigChange, baselineOptions, onBaselineOptionsChange,
+  timeZone, onTimeZoneChange, nightStartHour, onNightStartHourChange, turningIntervalMinutes, onTurningIntervalChange, liveProps,
+  minCoveragePercent, setMinCoveragePercent, includeLowCoverage, setIncludeLowCoverage,
+  sensorCodeProfileName, onEditSensorCodes,
+  loadedFiles, onAddFiles
 }) => {
   const [isExpanded, setIsExpanded] = useState(true); // Controls visibility
+  const [exportAllBeds, setExportAllBeds] = useState(false);
+  const addFilesInputRef = useRef(null);
 
   return (
     <Card style={{ transition: 'max-height 0.3s ease-out', overflow: 'hidden' }}>
@@ -804,7 +1638,32 @@ const ControlsCard = ({
               {/* File Upload (Button to trigger reset) */}
               <div>
                 <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Data File</label>
-                <Button onClick={onNewFile} style={{ width: '100%' }}>Load New CSV File</Button>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <Button onClick={() => addFilesInputRef.current?.click()}>Add Files</Button>
+                  <Button onClick={onNewFile}>Load New File</Button>
+                </div>
+                {/* Hidden input used by "Add Files" to append to the current dataset */}
+                <input
+                  ref={addFilesInputRef}
+                  type="file"
+                  accept={IMPORT_FILE_ACCEPT}
+                  multiple
+                  style={{ display: 'none' }}
+                  onChange={(e) => {
+                    if (e.target.files && e.target.files.length > 0) onAddFiles(e.target.files);
+                    e.target.value = ''; // Allow picking the same file again
+                  }}
+                />
+                {loadedFiles.length > 0 && (
+                  <ul style={{ margin: '10px 0 0', paddingLeft: 18, fontSize: 12, color: '#475569' }}>
+                    {loadedFiles.map((f, i) => (
+                      <li key={`${f.name}-${i}`} title={`${f.duplicates} duplicate and ${f.overlaps} overlapping rows dropped`}>
+                        {f.name}: {f.rows} rows
+                        {(f.duplicates > 0 || f.overlaps > 0) && ` (${f.duplicates + f.overlaps} dropped)`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               {/* Bed Selector */}
@@ -820,6 +1679,10 @@ const ControlsCard = ({
                       <option key={b} value={b}>{b}</option>
                     ))}
                   </select>
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+                    <Button active={!isWardView} onClick={() => setIsWardView(false)}>Single Bed</Button>
+                    <Button active={isWardView} onClick={() => setIsWardView(true)}>Ward Overview</Button>
+                  </div>
                 </div>
               )}
 
@@ -867,6 +1730,55 @@ const ControlsCard = ({
                  </div>
               </div>
 
+              {/* Second range for the comparison view */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Compare With</label>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: 13, color: '#475569' }}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(compareRange)}
+                    onChange={(e) => setCompareRange(e.target.checked ? previousPeriod(dateRange) : null)}
+                    disabled={!dateRange.start || !dateRange.end}
+                  />
+                  Compare with another range
+                </label>
+                {compareRange && (
+                  <>
+                    <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                      <Input
+                        type="date"
+                        value={format(compareRange.start, "yyyy-MM-dd")}
+                        onChange={(e) => {
+                          const newStart = parseISO(e.target.value);
+                          if (newStart instanceof Date && !isNaN(newStart) && !isAfter(newStart, compareRange.end)) {
+                            setCompareRange((prev) => ({ ...prev, start: newStart }));
+                          }
+                        }}
+                        max={format(compareRange.end, "yyyy-MM-dd")}
+                        title="Compare From"
+                        style={{ flex: 1 }}
+                      />
+                      <Input
+                        type="date"
+                        value={format(compareRange.end, "yyyy-MM-dd")}
+                        onChange={(e) => {
+                          const newEnd = parseISO(e.target.value);
+                          if (newEnd instanceof Date && !isNaN(newEnd) && !isBefore(newEnd, compareRange.start)) {
+                            setCompareRange((prev) => ({ ...prev, end: newEnd }));
+                          }
+                        }}
+                        min={format(compareRange.start, "yyyy-MM-dd")}
+                        title="Compare To"
+                        style={{ flex: 1 }}
+                      />
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '10px' }}>
+                      <Button onClick={() => setCompareRange(previousPeriod(dateRange))}>Previous period</Button>
+                    </div>
+                  </>
+                )}
+              </div>
+
               {/* Threshold Input */}
               <div>
                 <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>High Restless (%)</label>
@@ -881,12 +1793,147 @@ const ControlsCard = ({
                 />
               </div>
 
+              {/* Fall Risk Weights */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Fall Risk Weights</label>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 10px', fontSize: 12, color: '#475569' }}>
+                  {FALL_RISK_FACTORS.map(factor => (
+                    <label key={factor.key} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px' }}>
+                      {factor.label}
+                      <Input
+                        type="number"
+                        value={fallRiskConfig.weights[factor.key]}
+                        onChange={(e) => onFallRiskConfigChange({ weights: { [factor.key]: Math.max(0, Math.min(10, parseFloat(e.target.value) || 0)) } })}
+                        style={{ width: '52px', padding: '0.2rem 0.4rem' }}
+                        min="0"
+                        max="10"
+                        step="1"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: 6, fontSize: 12, color: '#475569' }}>
+                  <input type="checkbox" checked={fallRiskConfig.showBadges} onChange={(e) => onFallRiskConfigChange({ showBadges: e.target.checked })} />
+                  Show score badge on calendar
+                </label>
+              </div>
+
+              {/* Personal Baseline */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Personal Baseline</label>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 10px', fontSize: 12, color: '#475569' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px' }} title="Previous nights of this bed the baseline is built from">
+                    Nights
+                    <Input
+                      type="number"
+                      value={baselineOptions.baselineNights}
+                      onChange={(e) => onBaselineOptionsChange({ baselineNights: Math.max(3, Math.min(90, parseInt(e.target.value, 10) || 0)) })}
+                      style={{ width: '52px', padding: '0.2rem 0.4rem' }}
+                      min="3"
+                      max="90"
+                      step="1"
+                    />
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px' }} title="Flag a metric this many standard deviations from the baseline">
+                    SD
+                    <Input
+                      type="number"
+                      value={baselineOptions.threshold}
+                      onChange={(e) => onBaselineOptionsChange({ threshold: Math.max(1, Math.min(5, parseFloat(e.target.value) || 0)) })}
+                      style={{ width: '52px', padding: '0.2rem 0.4rem' }}
+                      min="1"
+                      max="5"
+                      step="0.5"
+                    />
+                  </label>
+                </div>
+              </div>
+
+              {/* Facility Time Zone */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Facility Time Zone</label>
+                <TimeZoneSelect value={timeZone} onChange={onTimeZoneChange} />
+              </div>
+
+              {/* Night Window */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Night Window</label>
+                <select
+                  value={nightStartHour}
+                  onChange={(e) => onNightStartHourChange(Number(e.target.value))}
+                  style={{ padding: "0.5rem", borderRadius: 8, border: "1px solid #cbd5e1", width: '100%', height: '38px' }}
+                  title="Each calendar tile, trend point and timeline covers one such window, named after the day it starts"
+                >
+                  {Array.from({ length: 24 }, (_, hour) => (
+                    <option key={hour} value={hour}>{nightWindowLabel(hour)}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Turning Interval */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Turning Interval</label>
+                <select
+                  value={turningIntervalMinutes}
+                  onChange={(e) => onTurningIntervalChange(Number(e.target.value))}
+                  style={{ padding: "0.5rem", borderRadius: 8, border: "1px solid #cbd5e1", width: '100%', height: '38px' }}
+                  title="Repositioning schedule while the patient is in bed, used for compliance and missed turns"
+                >
+                  {TURNING_INTERVAL_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>Every {minutes % 60 ? `${minutes} min` : `${minutes / 60} h`}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Data Coverage */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Min. Coverage (%)</label>
+                <Input
+                  type="number"
+                  value={minCoveragePercent}
+                  onChange={(e) => setMinCoveragePercent(Math.max(0, Math.min(100, parseInt(e.target.value, 10) || 0)))}
+                  style={{ width: '80px', padding: '0.3rem 0.5rem' }}
+                  min="0"
+                  max="100"
+                  step="5"
+                  title="Nights where the sensor reported for less of the night window are marked as low coverage"
+                />
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: 6, fontSize: 12, color: '#475569' }}>
+                  <input type="checkbox" checked={includeLowCoverage} onChange={(e) => setIncludeLowCoverage(e.target.checked)} />
+                  Include low-coverage nights in averages
+                </label>
+              </div>
+
+              {/* Sensor Codes */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Sensor Codes</label>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: 13, color: '#475569' }}>
+                  <span>Profile: <strong>{sensorCodeProfileName}</strong></span>
+                  <Button onClick={onEditSensorCodes} title="What each event type and value means">Edit…</Button>
+                </div>
+              </div>
+
+              {/* Live Mode */}
+              <div>
+                <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Live Mode</label>
+                <LiveModeControls {...liveProps} />
+              </div>
+
               {/* Actions */}
                <div>
                   <label style={{ fontWeight: 600, marginBottom: 6, fontSize: 14, color: '#334155', display: 'block' }}>Actions</label>
-                  <div style={{ display: 'flex', gap: '8px' }}>
+                  <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
                      <Button onClick={savePNG}>Save PNG</Button>
+                     <Button onClick={() => onExportMetrics('csv', exportAllBeds)} title="Daily metrics for the selected range">Export CSV</Button>
+                     <Button onClick={() => onExportMetrics('json', exportAllBeds)} title="Daily metrics for the selected range">Export JSON</Button>
+                     <Button onClick={onBuildReport} title="Printable report / PDF">Build Report</Button>
                   </div>
+                  {bedNames.length > 1 && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: 8, fontSize: 13, color: '#475569' }}>
+                      <input type="checkbox" checked={exportAllBeds} onChange={(e) => setExportAllBeds(e.target.checked)} />
+                      Export all beds, not just {selectedBed}
+                    </label>
+                  )}
                </div>
           </div>
        )}
@@ -894,16 +1941,191 @@ const ControlsCard = ({
   );
 };
 
-// ────────────────── Sub‑components ──────────
-// Update Stat Typography
-const Stat = ({ label, value }) => (
-  <div style={{ textAlign: "center" }}>
-    <div style={{ fontSize: 28, fontWeight: 700, color: "#1e1b4b" }}>{value}</div>
-    {/* Use medium weight for label */}
-    <div style={{ fontSize: 14, color: "#475569", fontWeight: 500 }}>{label}</div>
-  </div>
-);
-
+// ────────────────── Sub‑components ──────────
+const LIVE_STATUS_COLORS = { off: '#94a3b8', connecting: '#f59e0b', live: '#22c55e', error: '#ef4444' };
+
+const LiveModeControls = ({ liveUrl, liveStatus, liveEventCount, onStartLive, onStopLive }) => {
+  const [url, setUrl] = useState(liveUrl || DEFAULT_LIVE_URL);
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <Input
+          type="text"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          disabled={!!liveUrl}
+          placeholder="ws://… or http://…/events"
+          title="WebSocket (ws://, wss://) or Server-Sent Events (http://, https://) endpoint"
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        {liveUrl
+          ? <Button active onClick={onStopLive}>Stop</Button>
+          : <Button onClick={() => onStartLive(url)}>Go Live</Button>}
+      </div>
+      {liveUrl && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: 8, fontSize: 12, color: '#475569' }}>
+          <span style={{ width: 8, height: 8, borderRadius: '50%', background: LIVE_STATUS_COLORS[liveStatus] }} />
+          {liveStatus === 'live' ? 'Live' : liveStatus === 'connecting' ? 'Connecting…' : 'Connection lost, retrying…'}
+          {' · '}{liveEventCount.toLocaleString()} events received
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TimeZoneSelect = ({ value, onChange }) => {
+  const zones = useMemo(() => {
+    const all = listTimeZones();
+    return all.includes(value) ? all : [value, ...all];
+  }, [value]);
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ padding: "0.5rem", borderRadius: 8, border: "1px solid #cbd5e1", width: '100%', height: '38px' }}
+    >
+      {zones.map(z => <option key={z} value={z}>{z}</option>)}
+    </select>
+  );
+};
+
+// "18:00 – 18:00 next day", with names for the common choices
+const nightWindowLabel = (hour) => {
+  const time = `${String(hour).padStart(2, '0')}:00`;
+  if (hour === 0) return `${time} – ${time} (calendar day)`;
+  if (hour === 12) return `${time} – ${time} (noon to noon)`;
+  return `${time} – ${time} next day`;
+};
+
+// Update Stat Typography
+// The KPI strip values (dashboard and report)
+const SummaryStats = ({ summary }) => (
+  <>
+    <Stat label="Avg hours in bed / day" value={summary.avgHours} />
+    <Stat label="Avg repositions / night" value={summary.avgRepositions} />
+    <Stat label="Avg exits / night" value={summary.avgExits} />
+    <Stat label="Avg Restless %" value={summary.avgRestlessPercent ? `${summary.avgRestlessPercent}%` : 'N/A'} />
+    <Stat label="Median Longest Sleep (h)" value={summary.medianLongestSleep || 'N/A'} />
+    <Stat label="Avg Sleep Efficiency" value={summary.avgSleepEfficiency ? `${summary.avgSleepEfficiency}%` : 'N/A'} />
+    <Stat label="Avg Onset Latency (min)" value={summary.avgSleepOnsetLatency || 'N/A'} />
+    <Stat label="Avg WASO (min)" value={summary.avgWaso || 'N/A'} />
+    <Stat label="Avg Awakenings" value={summary.avgAwakenings || 'N/A'} />
+    <Stat label="Median Final Wake" value={summary.medianFinalWake || 'N/A'} />
+    <Stat label="Turning Compliance" value={summary.avgTurningCompliance ? `${summary.avgTurningCompliance}%` : 'N/A'} />
+    <Stat label="Days analysed" value={summary.excludedLowCoverage ? `${summary.days} (+${summary.excludedLowCoverage} low cov.)` : summary.days} />
+  </>
+);
+
+const Stat = ({ label, value }) => (
+  <div style={{ textAlign: "center" }}>
+    <div style={{ fontSize: 28, fontWeight: 700, color: "#1e1b4b" }}>{value}</div>
+    {/* Use medium weight for label */}
+    <div style={{ fontSize: 14, color: "#475569", fontWeight: 500 }}>{label}</div>
+  </div>
+);
+
+// ────────────────── Range Comparison ──────────────────
+const formatRange = (range) => `${format(range.start, 'MMM d')} – ${format(range.end, 'MMM d, yyyy')}`;
+
+// Every KPI of both ranges with the change (selected minus compared).
+// Deltas of percent KPIs are percentage points, so they aren't confused with the relative change.
+const RangeComparison = ({ rows, currentLabel, comparedLabel }) => {
+  const signed = (value, unit) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value}${unit}`);
+  const cell = { padding: '6px 10px', borderBottom: '1px solid #e2e8f0', textAlign: 'right' };
+  return (
+    <>
+      <h4 style={{ marginTop: 0, marginBottom: 12, color: '#1e1b4b', fontWeight: 600 }}>Range Comparison</h4>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14, color: '#334155' }}>
+          <thead>
+            <tr style={{ color: '#475569' }}>
+              <th style={{ ...cell, textAlign: 'left' }}>KPI</th>
+              <th style={cell}>Selected<br /><span style={{ fontWeight: 400, fontSize: 12 }}>{currentLabel}</span></th>
+              <th style={cell}>Compared<br /><span style={{ fontWeight: 400, fontSize: 12 }}>{comparedLabel}</span></th>
+              <th style={cell}>Change</th>
+              <th style={cell}>Change %</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td style={{ ...cell, textAlign: 'left' }}>{row.label}</td>
+                <td style={cell}>{row.current ?? 'N/A'}</td>
+                <td style={cell}>{row.previous ?? 'N/A'}</td>
+                <td style={{ ...cell, fontWeight: 600 }}>{signed(row.delta, row.unit === '%' ? ' pp' : row.unit)}</td>
+                <td style={cell}>{signed(row.deltaPercent, '%')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+// ────────────────── Ward Overview ──────────────────
+// One tile per bed: its latest night in the range and a day strip coloured like the calendar
+const WardOverview = ({ beds, dateRange, onSelectBed }) => {
+  if (!dateRange.start || !dateRange.end) return <p style={{ margin: 0, color: '#64748b' }}>Pick a date range to see the ward.</p>;
+  const figure = (label, value, highlight = false) => (
+    <div>
+      <div style={{ fontSize: 20, fontWeight: 700, color: highlight ? '#ef4444' : '#1e1b4b' }}>{value}</div>
+      <div style={{ fontSize: 12, color: '#475569' }}>{label}</div>
+    </div>
+  );
+
+  return (
+    <>
+      <h4 style={{ marginTop: 0, marginBottom: 4, color: '#1e1b4b', fontWeight: 600 }}>Ward Overview</h4>
+      <p style={{ marginTop: 0, marginBottom: 16, fontSize: 13, color: '#64748b' }}>
+        Latest night with data per bed, {formatRange(dateRange)}. Click a bed to open it.
+      </p>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '16px' }}>
+        {beds.map(({ bed, lastNightKey, lastNight, strip }) => (
+          <div
+            key={bed}
+            onClick={() => onSelectBed(bed)}
+            style={{ border: '1px solid #e2e8f0', borderRadius: 10, padding: 14, cursor: 'pointer', background: '#fff' }}
+            title={`Open ${bed}`}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10 }}>
+              <strong style={{ color: '#1e1b4b' }}>{bed}</strong>
+              <span style={{ fontSize: 12, color: '#64748b' }}>{lastNightKey ? format(parseISO(lastNightKey), 'MMM d') : 'no data in range'}</span>
+            </div>
+            {lastNight ? (
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6, textAlign: 'center', marginBottom: 12 }}>
+                {figure('Hours', lastNight.hours)}
+                {figure('Exits', lastNight.exits, lastNight.exits > 0)}
+                {figure('Restless', `${lastNight.restlessPercent}%`)}
+                {figure('Longest', `${lastNight.longestSleep}h`)}
+              </div>
+            ) : (
+              <p style={{ margin: '0 0 12px', fontSize: 13, color: '#94a3b8' }}>No nights recorded in this range.</p>
+            )}
+            <div style={{ display: 'flex', gap: 2 }}>
+              {strip.map(cell => (
+                <div
+                  key={cell.key}
+                  title={cell.hours === null
+                    ? `${format(parseISO(cell.key), 'MMM d')}: no data`
+                    : `${format(parseISO(cell.key), 'MMM d')}: ${cell.hours}h in bed, ${cell.exits} exits, ${cell.restlessPercent}% restless`}
+                  style={{
+                    flex: 1,
+                    height: 14,
+                    borderRadius: 2,
+                    background: cell.hours === null ? NO_DATA_BACKGROUND : getPaletteColor(cell.hours),
+                    outline: cell.key === lastNightKey ? '2px solid #1e1b4b' : 'none',
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Helper Components (Small & Specific)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -997,7 +2219,10 @@ const Sparkline = ({ data, width = 60, height = 15, stroke = "#6366f1", strokeWi
   );
 };
 
-const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPercentThreshold, selectedDateRange }) => {
+const CalendarGrid = ({
+  days, data, onDayClick, selectedDayKey, highRestlessPercentThreshold, selectedDateRange, riskScores = null, anomalies = {},
+  minCoveragePercent = DEFAULT_MIN_COVERAGE_PERCENT,
+}) => {
   let lastMonth = null; // Track month changes
   const [hoveredDayKey, setHoveredDayKey] = useState(null); // State for hover
 
@@ -1079,10 +2304,17 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
           const hasShortSleep = metrics && parseFloat(metrics.longestContinuousSleepHours) < 3;
           const isHighRestlessnessDay = metrics && parseFloat(metrics.restlessPercent) > highRestlessPercentThreshold; // Use threshold %
 
-          const backgroundColor = isInSelectedRange ? getPaletteColor(inBedHours) : '#f1f5f9';
+          const lowCoverage = isInSelectedRange && isLowCoverage(metrics, minCoveragePercent);
+          const backgroundColor = !isInSelectedRange ? '#f1f5f9'
+            : !hasData ? NO_DATA_BACKGROUND
+            : lowCoverage ? `${LOW_COVERAGE_OVERLAY}, ${getPaletteColor(inBedHours)}`
+            : getPaletteColor(inBedHours);
           const opacity = isInSelectedRange ? 1 : 0.5;
           const cursor = isInSelectedRange && hasData ? 'pointer' : 'default';
-          const tileBorder = isInSelectedRange && metrics && (isHighRestlessnessDay || metrics.exits > 2 /* Example threshold for exits */)
+          const deviations = isInSelectedRange && metrics ? anomalies[key] : null; // unusual for this bed
+          const tileBorder = deviations
+            ? `2px solid ${ANOMALY_COLOR}` // Deviates from the bed's own baseline
+            : isInSelectedRange && metrics && (isHighRestlessnessDay || metrics.exits > 2 /* Example threshold for exits */)
             ? '2px solid #ef4444' // Anomaly border (Red-500 equivalent)
             : '1px solid #e2e8f0'; // Default border
 
@@ -1116,8 +2348,8 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
                 whileHover={isInSelectedRange && hasData ? { scale: 1.05, boxShadow: "0 4px 12px rgba(0,0,0,0.1)" } : {}}
                 onClick={() => isInSelectedRange && hasData && onDayClick(key)}
                 title={isInSelectedRange && metrics ?
-                  `${format(day, "MMM d")}\nTime in bed: ${inBedHours.toFixed(1)}h\nRestless: ${metrics.restlessPercent}%\nLongest Sleep: ${metrics.longestContinuousSleepHours}h\nExits: ${metrics.exits}\nRepositions: ${metrics.repositions}` // Updated title
-                  : isInSelectedRange ? format(day, "MMM d") : ""}
+                  `${format(day, "MMM d")}\nTime in bed: ${inBedHours.toFixed(1)}h\nRestless: ${metrics.restlessPercent}%\nLongest Sleep: ${metrics.longestContinuousSleepHours}h\nExits: ${metrics.exits}\nRepositions: ${metrics.repositions}${riskScores?.[key] ? `\nFall risk: ${riskScores[key].score} / 10` : ''}${metrics.coveragePercent !== null && metrics.coveragePercent !== undefined ? `\nCoverage: ${metrics.coveragePercent}%${lowCoverage ? ' (low)' : ''}` : ''}${deviations ? `\nUnusual for this bed:\n${deviations.map(describeDeviation).join('\n')}` : ''}` // Updated title
+                  : isInSelectedRange ? `${format(day, "MMM d")}\nNo data` : ""}
               >
                 <span style={{ fontSize: 11, fontWeight: 500, opacity: 0.9 }}>{format(day, "d")}</span>
                 <div style={{ marginTop: 2, lineHeight: 1 }}>
@@ -1126,6 +2358,9 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
                       {inBedHours.toFixed(0)}h
                     </span>
                   )}
+                  {isInSelectedRange && !hasData && (
+                    <span style={{ fontSize: 9, color: '#64748b' }}>No data</span>
+                  )}
                 </div>
                 {/* Add Restless % below hours */}
                  {isInSelectedRange && metrics && (
@@ -1135,7 +2370,7 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
                          marginTop: 1,
                          color: isInSelectedRange && inBedHours > 8 ? '#fff' : '#1e1b4b' // Match text color
                      }}>
-                       {metrics.restlessPercent}% R
+                       {metrics.restlessPercent}% R{lowCoverage && ` · ${Math.round(metrics.coveragePercent)}% cov`}
                     </div>
                  )}
 
@@ -1163,9 +2398,20 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
                        }} title={`> ${highRestlessPercentThreshold}% Restless`}>
                        </span>
                    )}
-                   {/* REMOVED Fall Risk Badge */}
                 </div>
 
+                {/* Fall risk badge (top right) */}
+                {isInSelectedRange && riskScores?.[key] && (
+                  <span style={{
+                      position: 'absolute', top: 3, right: 3,
+                      background: getRiskScoreColor(riskScores[key].score), color: '#fff',
+                      fontSize: 9, fontWeight: 700, lineHeight: '14px', minWidth: 14, textAlign: 'center',
+                      borderRadius: 7, padding: '0 3px', pointerEvents: 'none',
+                  }}>
+                    {riskScores[key].score.toFixed(0)}
+                  </span>
+                )}
+
                  {/* Sparkline on Hover */}
                  {hoveredDayKey === key && sparklineData && (
                      <div style={{
@@ -1193,10 +2439,151 @@ const CalendarGrid = ({ days, data, onDayClick, selectedDayKey, highRestlessPerc
   );
 }
 
+// ────────────────── Baseline Anomalies ──────────────────
+const ANOMALY_COLOR = '#8b5cf6'; // Violet-500, calendar border and chart points
+
+const AnomalyList = ({ anomalies, dateRange, baselineNights, onSelect }) => {
+  const nights = Object.keys(anomalies)
+    .filter(key => isWithinInterval(parseISO(key), dateRange))
+    .sort();
+
+  return (
+    <>
+      <h4 style={{ marginTop: 0, marginBottom: 4, color: '#1e1b4b', fontWeight: 600 }}>Unusual Nights</h4>
+      <p style={{ marginTop: 0, marginBottom: 12, fontSize: 13, color: '#64748b' }}>
+        Compared with this bed's previous {baselineNights} nights.
+      </p>
+      {nights.length === 0 ? (
+        <p style={{ margin: 0, color: '#64748b' }}>No night in this range deviates from the baseline.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', maxHeight: 260, overflowY: 'auto' }}>
+          {nights.map(key => (
+            <div
+              key={key}
+              onClick={() => onSelect(key)}
+              style={{ display: 'flex', gap: '12px', alignItems: 'baseline', padding: '6px 10px', borderRadius: 6, borderLeft: `3px solid ${ANOMALY_COLOR}`, background: '#f5f3ff', cursor: 'pointer', fontSize: 13 }}
+            >
+              <strong style={{ color: '#1e1b4b', minWidth: 90 }}>{format(parseISO(key), 'EEE, MMM d')}</strong>
+              <span style={{ color: '#475569' }}>{anomalies[key].map(describeDeviation).join(' · ')}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
 // ────────────────── Trend Chart Component (New) ──────────────────
-const TrendCharts = ({ data }) => {
+// Sleep measures the user can add to the trend charts
+const SLEEP_TREND_SERIES = [
+  { key: 'sleepEfficiency', label: 'Sleep efficiency (%)', color: '#10b981', axis: 'y1' },
+  { key: 'sleepOnsetLatency', label: 'Onset latency (min)', color: '#6366f1', axis: 'y' },
+  { key: 'waso', label: 'WASO (min)', color: '#ef4444', axis: 'y' },
+  { key: 'awakenings', label: 'Awakenings', color: '#f59e0b', axis: 'y' },
+];
+
+// Overlay beds keep one colour each (by their place in the bed list); none of these
+// are used by the current bed's own series. Beds past the palette get generated hues,
+// spread by the golden angle so neighbours in the list never look alike.
+const BED_COLORS = ['#0ea5e9', '#10b981', '#ec4899', '#14b8a6', '#f97316', '#84cc16', '#a855f7', '#64748b'];
+const WARD_AVERAGE_COLOR = '#0f172a'; // Slate-900
+const bedColor = (bed, bedNames) => {
+  const index = Math.max(0, bedNames.indexOf(bed));
+  if (index < BED_COLORS.length) return BED_COLORS[index];
+  const extra = index - BED_COLORS.length;
+  return `hsl(${Math.round((extra * 137.508) % 360)}, 70%, ${extra % 2 ? 60 : 38}%)`;
+};
+
+// Beds to overlay on the trend charts, plus the ward average
+const BedOverlayPicker = ({ bedNames, selectedBed, overlayBeds, onChange, showWardAverage, onShowWardAverageChange }) => {
+  const toggle = (bed) => onChange(overlayBeds.includes(bed) ? overlayBeds.filter(b => b !== bed) : [...overlayBeds, bed]);
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px 14px', fontSize: 13, color: '#475569', marginBottom: 20 }}>
+      <strong style={{ color: '#334155' }}>Overlay beds:</strong>
+      {bedNames.filter(bed => bed !== selectedBed).map(bed => (
+        <label key={bed} style={{ display: 'inline-flex', alignItems: 'center', gap: '5px' }}>
+          <input type="checkbox" checked={overlayBeds.includes(bed)} onChange={() => toggle(bed)} />
+          <span style={{ width: 10, height: 10, borderRadius: 2, background: bedColor(bed, bedNames) }} />
+          {bed}
+        </label>
+      ))}
+      <label style={{ display: 'inline-flex', alignItems: 'center', gap: '5px' }}>
+        <input type="checkbox" checked={showWardAverage} onChange={(e) => onShowWardAverageChange(e.target.checked)} />
+        <span style={{ width: 14, height: 0, borderTop: `3px dotted ${WARD_AVERAGE_COLOR}` }} />
+        Ward average
+      </label>
+    </div>
+  );
+};
+
+// Change points from detectTrends, drawn as dashed vertical lines between the two nights.
+// There's no annotation plugin installed, so this small inline plugin does it; each
+// chart passes its lines as options.plugins.changePoints.lines ([{ index, nextIndex, text }]).
+const CHANGE_POINT_COLOR = '#0f766e'; // Teal-700
+const changePointPlugin = {
+  id: 'changePoints',
+  afterDatasetsDraw: (chart, args, options) => {
+    const lines = options?.lines || [];
+    const x = chart.scales.x;
+    if (!lines.length || !x) return;
+    const { ctx, chartArea } = chart;
+    ctx.save();
+    ctx.strokeStyle = CHANGE_POINT_COLOR;
+    ctx.fillStyle = CHANGE_POINT_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.font = '11px sans-serif';
+    lines.forEach((line, i) => {
+      const px = (x.getPixelForValue(line.index) + x.getPixelForValue(line.nextIndex)) / 2;
+      ctx.beginPath();
+      ctx.moveTo(px, chartArea.top);
+      ctx.lineTo(px, chartArea.bottom);
+      ctx.stroke();
+      // Labels stack down from the top so two changes close together stay readable
+      ctx.fillText(line.text, px + 4, chartArea.top + 12 + i * 13);
+    });
+    ctx.restore();
+  },
+};
+
+// With compareData (buildTrendData of a second range) both ranges are overlaid by
+// night index: night 1 of each range on the same x position, the second one dashed.
+// bedOverlays ([{ bed, color, data }]) and wardAverage (buildWardAverageTrend) add other
+// beds' hours, repositions and exits to those three charts.
+const TrendCharts = ({ data, bedName = null, bedOverlays = [], wardAverage = null, compareData = null, periodLabels = null, animate = true }) => {
+  const [sleepSeries, setSleepSeries] = useState([]); // keys of SLEEP_TREND_SERIES shown
   if (!data || !data.labels || data.labels.length === 0) return <p style={{textAlign: 'center', color: '#64748b'}}>Not enough data for trend analysis.</p>;
 
+  const comparing = Boolean(compareData && periodLabels);
+  const labels = comparing
+    ? Array.from({ length: Math.max(data.labels.length, compareData.labels.length) }, (_, i) => `Night ${i + 1}`)
+    : data.labels;
+  const pad = (values) => (comparing ? labels.map((_, i) => values?.[i] ?? null) : values);
+  // The selected range's series, and the same series of the compared range
+  const currentDataset = (dataset) => (comparing ? { ...dataset, label: `${dataset.label} (${periodLabels.current})`, data: pad(dataset.data) } : dataset);
+  const comparedDataset = (dataset, values) => ({
+    ...dataset,
+    label: `${dataset.label} (${periodLabels.compared})`,
+    data: pad(values),
+    borderDash: [6, 4],
+    pointRadius: 2,
+    pointBackgroundColor: dataset.borderColor,
+    pointBorderColor: dataset.borderColor,
+  });
+
+  // Other beds and the ward average for one series; `bar` for the exits bar chart
+  const overlaying = bedOverlays.length > 0 || Boolean(wardAverage);
+  const ownLabel = (label) => (overlaying && bedName ? `${label} (${bedName})` : label);
+  const overlaysFor = (seriesKey, label, bar = false) => [
+    ...bedOverlays.map(({ bed, color, data: bedData }) => (bar
+      ? { label: `${label} (${bed})`, data: pad(bedData[seriesKey]), backgroundColor: color }
+      : { label: `${label} (${bed})`, data: pad(bedData[seriesKey]), borderColor: color, backgroundColor: color, tension: 0.1, fill: false, pointRadius: 2, yAxisID: 'y' })),
+    ...(wardAverage ? [bar
+      ? { label: `${label} (ward average)`, data: pad(wardAverage[seriesKey]), backgroundColor: WARD_AVERAGE_COLOR }
+      : { label: `${label} (ward average)`, data: pad(wardAverage[seriesKey]), borderColor: WARD_AVERAGE_COLOR, backgroundColor: WARD_AVERAGE_COLOR, borderWidth: 3, borderDash: [2, 3], pointRadius: 0, spanGaps: true, fill: false, yAxisID: 'y' },
+    ] : []),
+  ];
+
   // Calculate Mean and Standard Deviation for Hours
   const hoursData = data.hours.filter(h => typeof h === 'number' && !isNaN(h));
   const nHours = hoursData.length;
@@ -1216,8 +2603,32 @@ const TrendCharts = ({ data }) => {
   const stdDevMinusReposLine = Array(data.labels.length).fill(Math.max(0, meanRepos - stdDevRepos));
 
 
+  // Nights where the given metric deviates from the bed's baseline get a larger violet point
+  const anomalyFlags = data.anomalyMetrics || [];
+  const anomalyPoints = (metricKey, color) => {
+    const flagged = data.labels.map((_, i) => (anomalyFlags[i] || []).includes(metricKey));
+    return {
+      pointRadius: flagged.map(f => (f ? 6 : 3)),
+      pointBackgroundColor: flagged.map(f => (f ? ANOMALY_COLOR : color)),
+      pointBorderColor: flagged.map(f => (f ? ANOMALY_COLOR : color)),
+    };
+  };
+  const metricLabels = Object.fromEntries(BASELINE_METRICS.map(m => [m.key, m.label]));
+
+  // Significant change points of the given metrics, as plugin options for one chart
+  const changeLines = (metricKeys) => ({
+    lines: (data.changePoints || [])
+      .filter(c => metricKeys.includes(c.metric))
+      .map(c => ({ index: c.index, nextIndex: c.nextIndex, text: `${c.label} ${c.direction === 'up' ? '↑' : '↓'}` })),
+  });
+  const withChangeLines = (options, metricKeys) => ({
+    ...options,
+    plugins: { ...options.plugins, changePoints: changeLines(metricKeys) },
+  });
+
   const commonOptions = {
     responsive: true,
+    animation: animate ? undefined : false, // charts must be fully drawn when printed
     maintainAspectRatio: false, // Allow charts to resize height
     plugins: {
       legend: {
@@ -1226,6 +2637,17 @@ const TrendCharts = ({ data }) => {
       tooltip: {
         mode: 'index',
         intersect: false,
+        callbacks: {
+          title: (items) => {
+            if (!items.length) return '';
+            const i = items[0].dataIndex;
+            return comparing ? `Night ${i + 1}: ${data.labels[i] ?? '—'} / ${compareData.labels[i] ?? '—'}` : labels[i];
+          },
+          footer: (items) => {
+            const flagged = items.length ? anomalyFlags[items[0].dataIndex] : null;
+            return flagged?.length ? `Unusual: ${flagged.map(key => metricLabels[key]).join(', ')}` : '';
+          },
+        },
       },
     },
     scales: {
@@ -1254,107 +2676,185 @@ const TrendCharts = ({ data }) => {
     },
   };
 
+  const hoursSeries = {
+    label: ownLabel('Hours in Bed'),
+    data: data.hours,
+    borderColor: '#6366f1', // Indigo
+    backgroundColor: 'rgba(99, 102, 241, 0.5)',
+    tension: 0.1, // Slight curve
+    fill: false,
+    yAxisID: 'y', // Assign to the primary y-axis
+    ...anomalyPoints('inBedHours', '#6366f1'),
+  };
   const hoursChartData = {
-    labels: data.labels,
+    labels,
     datasets: [
-      {
-        label: 'Hours in Bed',
-        data: data.hours,
-        borderColor: '#6366f1', // Indigo
-        backgroundColor: 'rgba(99, 102, 241, 0.5)',
-        tension: 0.1, // Slight curve
-        fill: false,
-        yAxisID: 'y', // Assign to the primary y-axis
-      },
-      // Add Mean and StdDev Lines
-      {
-        label: 'Mean Hours',
-        data: meanHoursLine,
-        borderColor: '#334155', // Dark Gray/Slate
-        borderWidth: 2, // Thicker mean line
-        pointRadius: 0, // No points on the mean line
-        fill: false,
-        yAxisID: 'y',
-      },
-      {
-        label: 'Mean +1 Std Dev',
-        data: stdDevPlusHoursLine,
-        borderColor: 'rgba(148, 163, 184, 0.7)', // Lighter Gray/Slate with opacity
-        borderDash: [5, 5], // Dashed line
-        borderWidth: 1.5, // Slightly thinner dashed line
-        pointRadius: 0,
-        fill: false,
-        yAxisID: 'y',
-      },
-      {
-        label: 'Mean -1 Std Dev',
-        data: stdDevMinusHoursLine,
-        borderColor: 'rgba(148, 163, 184, 0.7)', // Lighter Gray/Slate with opacity
-        borderDash: [5, 5], // Dashed line
-        borderWidth: 1.5, // Slightly thinner dashed line
-        pointRadius: 0,
-        fill: false,
-        yAxisID: 'y',
-      },
-    ],
-  };
-
-  const reposChartData = {
-      labels: data.labels,
-      datasets: [
-        {
-          label: 'Reposition Events',
-          data: data.repositions,
-          borderColor: '#f59e0b', // Amber
-          backgroundColor: 'rgba(245, 158, 11, 0.5)',
-          tension: 0.1,
-          fill: false,
-          yAxisID: 'y',
-        },
-        // Add Mean and StdDev Lines for Repositions
+      ...(comparing ? [currentDataset(hoursSeries), comparedDataset(hoursSeries, compareData.hours)] : [
+        hoursSeries,
+        // Add Mean and StdDev Lines
         {
-          label: 'Mean Repositions',
-          data: meanReposLine,
+          label: 'Mean Hours',
+          data: meanHoursLine,
           borderColor: '#334155', // Dark Gray/Slate
-          borderWidth: 2,
-          pointRadius: 0,
+          borderWidth: 2, // Thicker mean line
+          pointRadius: 0, // No points on the mean line
           fill: false,
           yAxisID: 'y',
         },
         {
           label: 'Mean +1 Std Dev',
-          data: stdDevPlusReposLine,
-          borderColor: 'rgba(148, 163, 184, 0.7)',
-          borderDash: [5, 5],
-          borderWidth: 1.5,
+          data: stdDevPlusHoursLine,
+          borderColor: 'rgba(148, 163, 184, 0.7)', // Lighter Gray/Slate with opacity
+          borderDash: [5, 5], // Dashed line
+          borderWidth: 1.5, // Slightly thinner dashed line
           pointRadius: 0,
           fill: false,
           yAxisID: 'y',
         },
         {
           label: 'Mean -1 Std Dev',
-          data: stdDevMinusReposLine,
-          borderColor: 'rgba(148, 163, 184, 0.7)',
-          borderDash: [5, 5],
-          borderWidth: 1.5,
+          data: stdDevMinusHoursLine,
+          borderColor: 'rgba(148, 163, 184, 0.7)', // Lighter Gray/Slate with opacity
+          borderDash: [5, 5], // Dashed line
+          borderWidth: 1.5, // Slightly thinner dashed line
           pointRadius: 0,
           fill: false,
           yAxisID: 'y',
         },
+      ]),
+      ...overlaysFor('hours', 'Hours in Bed'),
+    ],
+  };
+
+  const reposSeries = {
+    label: ownLabel('Reposition Events'),
+    data: data.repositions,
+    borderColor: '#f59e0b', // Amber
+    backgroundColor: 'rgba(245, 158, 11, 0.5)',
+    tension: 0.1,
+    fill: false,
+    yAxisID: 'y',
+    ...anomalyPoints('repositions', '#f59e0b'),
+  };
+  const reposChartData = {
+      labels,
+      datasets: [
+        ...(comparing ? [currentDataset(reposSeries), comparedDataset(reposSeries, compareData.repositions)] : [
+          reposSeries,
+          // Add Mean and StdDev Lines for Repositions
+          {
+            label: 'Mean Repositions',
+            data: meanReposLine,
+            borderColor: '#334155', // Dark Gray/Slate
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Mean +1 Std Dev',
+            data: stdDevPlusReposLine,
+            borderColor: 'rgba(148, 163, 184, 0.7)',
+            borderDash: [5, 5],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Mean -1 Std Dev',
+            data: stdDevMinusReposLine,
+            borderColor: 'rgba(148, 163, 184, 0.7)',
+            borderDash: [5, 5],
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y',
+          },
+        ]),
+        ...overlaysFor('repositions', 'Reposition Events'),
       ],
   };
 
+  const exitsSeries = {
+    label: ownLabel('Bed Exits'),
+    data: data.exits,
+    backgroundColor: labels.map((_, i) => ((anomalyFlags[i] || []).includes('exits') ? ANOMALY_COLOR : '#f59e0b')), // Amber, violet when unusual
+    // Ensure this uses the primary y-axis implicitly, or assign yAxisID: 'y' if needed
+  };
   const eventsChartData = {
-    labels: data.labels,
+    labels,
     datasets: [
+      ...(comparing
+        ? [currentDataset(exitsSeries), { label: `Bed Exits (${periodLabels.compared})`, data: pad(compareData.exits), backgroundColor: '#94a3b8' }]
+        : [exitsSeries]),
+      ...overlaysFor('exits', 'Bed Exits', true),
+    ],
+  };
+
+  const shownSleepSeries = SLEEP_TREND_SERIES.filter(series => sleepSeries.includes(series.key) && data[series.key]);
+  const sleepChartData = {
+    labels,
+    datasets: shownSleepSeries.flatMap(series => {
+      const dataset = {
+        label: series.label,
+        data: data[series.key],
+        borderColor: series.color,
+        backgroundColor: series.color,
+        tension: 0.1,
+        fill: false,
+        spanGaps: true,
+        yAxisID: series.axis,
+        ...anomalyPoints(series.key, series.color),
+      };
+      return comparing ? [currentDataset(dataset), comparedDataset(dataset, compareData[series.key])] : [dataset];
+    }),
+  };
+  const sleepChartOptions = {
+    ...commonOptions,
+    scales: {
+      ...commonOptions.scales,
+      y: { ...commonOptions.scales.y, title: { display: true, text: 'Minutes / count' } },
+      y1: { beginAtZero: true, max: 100, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: '%' },
+        display: shownSleepSeries.some(series => series.axis === 'y1') },
+    },
+  };
+  const complianceSeries = {
+    label: 'Compliance (%)',
+    data: data.turningCompliance || [],
+    borderColor: '#0ea5e9', // Sky
+    backgroundColor: '#0ea5e9',
+    tension: 0.1,
+    fill: false,
+    spanGaps: true,
+    yAxisID: 'y',
+  };
+  const complianceChartData = {
+    labels,
+    datasets: comparing ? [currentDataset(complianceSeries), comparedDataset(complianceSeries, compareData.turningCompliance)] : [
+      complianceSeries,
       {
-        label: 'Bed Exits',
-        data: data.exits,
-        backgroundColor: '#f59e0b', // Amber
-        // Ensure this uses the primary y-axis implicitly, or assign yAxisID: 'y' if needed
+        label: 'Missed turns',
+        data: data.missedTurns || [],
+        borderColor: '#ef4444',
+        backgroundColor: '#ef4444',
+        borderDash: [5, 5],
+        tension: 0.1,
+        fill: false,
+        spanGaps: true,
+        yAxisID: 'y1',
       },
     ],
   };
+  const complianceChartOptions = {
+    ...commonOptions,
+    scales: {
+      ...commonOptions.scales,
+      y: { ...commonOptions.scales.y, max: 100, title: { display: true, text: 'Compliance (%)' } },
+      y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, ticks: { precision: 0 }, title: { display: true, text: 'Missed turns' }, display: !comparing },
+    },
+  };
+  const toggleSleepSeries = (key) => setSleepSeries(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
 
   return (
     // Use 1fr 1fr for side-by-side layout on wider screens if desired,
@@ -1362,113 +2862,245 @@ const TrendCharts = ({ data }) => {
     // Let's keep the single column grid but constrain the chart heights.
     <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: '40px' }}>
       {/* Increased gap */}
+      {comparing && (
+        <p style={{ margin: 0, fontSize: 13, color: '#475569', textAlign: 'center' }}>
+          Nights are aligned by their position in each range; dashed lines are {periodLabels.compared}.
+        </p>
+      )}
+      {data.changePoints?.length > 0 && (
+        <p style={{ margin: 0, fontSize: 13, color: '#475569', textAlign: 'center' }}>
+          <span style={{ color: CHANGE_POINT_COLOR, fontWeight: 600 }}>┆</span> Dashed teal lines mark significant shifts in level (change points); restless % and longest sleep are marked on the hours chart.
+        </p>
+      )}
       <div>
         <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Hours in Bed Over Time</h5>
         {/* Wrap chart in a div with controlled height */}
         <div style={{ position: 'relative', height: '250px' }}>
-          <Line options={{...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Hours'}}}}} data={hoursChartData} />
+          <Line options={withChangeLines({...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Hours'}}}}, ['inBedHours', 'restlessPercent', 'longestSleep'])} data={hoursChartData} plugins={[changePointPlugin]} />
         </div>
       </div>
       <div>
         <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Reposition Events Over Time</h5>
         <div style={{ position: 'relative', height: '250px' }}>
-          <Line options={{...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Events'}}}}} data={reposChartData} />
+          <Line options={withChangeLines({...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Events'}}}}, ['repositions'])} data={reposChartData} plugins={[changePointPlugin]} />
         </div>
       </div>
       <div>
         <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Daily Bed Exits</h5>
         <div style={{ position: 'relative', height: '250px' }}>
-          <Bar options={{...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Count'}}}}} data={eventsChartData} />
+          <Bar options={withChangeLines({...commonOptions, scales: {...commonOptions.scales, y: {...commonOptions.scales.y, title: {display: true, text: 'Count'}}}}, ['exits'])} data={eventsChartData} plugins={[changePointPlugin]} />
+        </div>
+      </div>
+      {data.turningCompliance?.some(v => v !== null) && (
+        <div>
+          <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Repositioning Compliance</h5>
+          <div style={{ position: 'relative', height: '250px' }}>
+            <Line options={complianceChartOptions} data={complianceChartData} />
+          </div>
+        </div>
+      )}
+      <div>
+        <h5 style={{ textAlign: 'center', marginBottom: '10px', color: '#334155' }}>Sleep Measures Over Time</h5>
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '14px', flexWrap: 'wrap', fontSize: 13, color: '#475569', marginBottom: 10 }}>
+          {SLEEP_TREND_SERIES.map(series => (
+            <label key={series.key} style={{ display: 'inline-flex', alignItems: 'center', gap: '5px' }}>
+              <input type="checkbox" checked={sleepSeries.includes(series.key)} onChange={() => toggleSleepSeries(series.key)} />
+              {series.label}
+            </label>
+          ))}
         </div>
+        {shownSleepSeries.length > 0 ? (
+          <div style={{ position: 'relative', height: '250px' }}>
+            <Line options={withChangeLines(sleepChartOptions, shownSleepSeries.map(series => series.key))} data={sleepChartData} plugins={[changePointPlugin]} />
+          </div>
+        ) : (
+          <p style={{ textAlign: 'center', color: '#94a3b8', fontSize: 13, margin: 0 }}>Pick one or more measures to plot.</p>
+        )}
       </div>
     </div>
   );
 };
 
-// ────────── Activity Timeline Component (for Modal) ──────────
-
-const ActivityTimeline = ({ rows, dayKey }) => {
-  if (!rows || !dayKey) return null;
+// ────────────────── Bed-Exit Episodes ──────────────────
+const formatAbsence = (minutes) => (minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes} min`);
 
-  // --- Configuration ---
-  const timelineHoursStart = 18; // Start at 6 PM previous day
-  const totalTimelineHours = 24;
-  const totalTimelineMinutes = totalTimelineHours * 60; // 1440 minutes
+const ExitAnalysis = ({ episodes, timeZone, nightStartHour, showBed, onSelect }) => {
+  if (episodes.length === 0) return <p style={{ margin: 0, color: '#64748b' }}>No bed exits in this range.</p>;
 
-  // --- Calculate Timeline Boundaries ---
-  const selectedDate = parseISO(dayKey);
-  const timelineStart = new Date(selectedDate);
-  timelineStart.setHours(timelineHoursStart, 0, 0, 0); // Set to 6 PM
-  // If selectedDate is the start of the day, go back one day for the 6 PM start
-  if (selectedDate.getHours() < timelineHoursStart) {
-     timelineStart.setDate(timelineStart.getDate() - 1);
-  }
+  const stats = summarizeExitEpisodes(episodes);
+  // Hours in night order, starting at the night window's start
+  const hourOrder = Array.from({ length: 24 }, (_, i) => (nightStartHour + i) % 24);
+  const nightTimeLabel = `${String(NIGHT_TIME_HOURS.start).padStart(2, '0')}:00–${String(NIGHT_TIME_HOURS.end).padStart(2, '0')}:00`;
 
-  const timelineEnd = new Date(timelineStart);
-  timelineEnd.setHours(timelineEnd.getHours() + totalTimelineHours); // End 24 hours later
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { display: false } },
+    scales: { y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Exits' } } },
+  };
+  const hourChartData = {
+    labels: hourOrder.map(hour => `${String(hour).padStart(2, '0')}:00`),
+    datasets: [{
+      label: 'Exits',
+      data: hourOrder.map(hour => stats.byClockHour[hour]),
+      backgroundColor: hourOrder.map(hour => (isNightTimeHour(hour) ? '#ef4444' : '#f59e0b')),
+    }],
+  };
+  const durationChartData = {
+    labels: EXIT_DURATION_BUCKETS.map(b => b.label),
+    datasets: [{ label: 'Exits', data: stats.durationCounts, backgroundColor: '#6366f1' }],
+  };
 
-  // --- Filter and Sort Rows within the 24h window ---
-  const relevantRows = rows
-    .filter(row => isWithinInterval(row.start, { start: timelineStart, end: timelineEnd }) || isWithinInterval(row.end, { start: timelineStart, end: timelineEnd }))
-    .sort((a, b) => a.start - b.start);
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+      <div style={{ display: 'flex', gap: 32, justifyContent: 'space-around', flexWrap: 'wrap' }}>
+        <Stat label="Exits" value={stats.count} />
+        <Stat label={`Night-time (${nightTimeLabel})`} value={stats.nightTimeCount} />
+        <Stat label="Median Time Out" value={stats.medianMinutes === null ? '–' : formatAbsence(Math.round(stats.medianMinutes))} />
+        <Stat label="Not Returned" value={stats.notReturnedCount} />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '24px' }}>
+        <div>
+          <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Exits by Time of Night</h5>
+          <div style={{ position: 'relative', height: '220px' }}>
+            <Bar options={chartOptions} data={hourChartData} />
+          </div>
+        </div>
+        <div>
+          <h5 style={{ textAlign: 'center', marginBottom: '15px', color: '#334155' }}>Time Out of Bed</h5>
+          <div style={{ position: 'relative', height: '220px' }}>
+            <Bar options={chartOptions} data={durationChartData} />
+          </div>
+        </div>
+      </div>
+      <div>
+        <h5 style={{ marginTop: 0, marginBottom: '10px', color: '#334155' }}>Long Absences ({LONG_ABSENCE_MINUTES} min or more)</h5>
+        {stats.longAbsences.length === 0 ? (
+          <p style={{ margin: 0, color: '#64748b', fontSize: 13 }}>None in this range.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#475569', borderBottom: '1px solid #e2e8f0' }}>
+                <th style={{ padding: '6px 8px' }}>Night</th>
+                {showBed && <th style={{ padding: '6px 8px' }}>Bed</th>}
+                <th style={{ padding: '6px 8px' }}>Out</th>
+                <th style={{ padding: '6px 8px' }}>Back</th>
+                <th style={{ padding: '6px 8px' }}>Time out</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.longAbsences.map(episode => (
+                <tr
+                  key={`${episode.bed}-${episode.start.getTime()}`}
+                  onClick={() => onSelect(episode.nightKey)}
+                  style={{ borderBottom: '1px solid #f1f5f9', cursor: 'pointer', color: episode.nightTime ? '#b91c1c' : '#334155' }}
+                >
+                  <td style={{ padding: '6px 8px' }}>{format(parseISO(episode.nightKey), 'EEE, MMM d')}</td>
+                  {showBed && <td style={{ padding: '6px 8px' }}>{episode.bed}</td>}
+                  <td style={{ padding: '6px 8px' }}>{formatInZone(episode.start, 'HH:mm', timeZone)}</td>
+                  <td style={{ padding: '6px 8px' }}>{episode.returned ? formatInZone(episode.end, 'HH:mm', timeZone) : <em>data ended {formatInZone(episode.end, 'HH:mm', timeZone)}</em>}</td>
+                  <td style={{ padding: '6px 8px', fontWeight: 600 }}>{formatAbsence(episode.durationMinutes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
 
-  if (relevantRows.length === 0) {
-     return <p style={{textAlign: 'center', color: '#64748b', margin: '20px 0'}}>No activity recorded between {format(timelineStart, 'HH:mm')} and {format(timelineEnd, 'HH:mm')}.</p>;
-  }
+// ────────── Hourly Heatmap ──────────
+// Nights down, clock hours of the night across. Minute states are shaded against a
+// full hour, repositions against the busiest cell in view.
+const HEATMAP_COLORS = { in_bed: '99, 102, 241', restless_high: '239, 68, 68', out_of_bed: '245, 158, 11', reposition: '16, 185, 129' }; // rgb
 
-  const segments = [];
-  let currentPositionTime = timelineStart; // Start tracking from the beginning of the 24h window
+const HourlyHeatmap = ({ rows, rowsByNight, dateRange, timeZone, nightStartHour, sensorCodes, onSelect }) => {
+  const [state, setState] = useState('restless_high');
+  const heatmap = useMemo(() => {
+    const nightKeys = eachDayOfInterval(dateRange).map(day => format(day, 'yyyy-MM-dd'));
+    return buildHourlyHeatmap(rows, nightKeys, { state, timeZone, nightStartHour, sensorCodes, rowsByNight });
+  }, [rows, rowsByNight, dateRange, state, timeZone, nightStartHour, sensorCodes]);
 
-  relevantRows.forEach(row => {
-    const segmentStart = dateMax([row.start, timelineStart]); // Clamp start to timeline boundary
-    const segmentEnd = dateMin([row.end, timelineEnd]);     // Clamp end to timeline boundary
+  const { label, unit, count } = HEATMAP_STATES.find(s => s.key === state);
+  const scaleMax = count ? Math.max(1, heatmap.max) : 60;
+  const hourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`;
+  const cellColor = (value) => `rgba(${HEATMAP_COLORS[state]}, ${value > 0 ? 0.15 + 0.85 * Math.min(1, value / scaleMax) : 0})`;
+  const columns = `56px repeat(${heatmap.hours.length}, minmax(14px, 1fr))`;
 
-    // 1. Add Gap before this segment (if any)
-    if (isAfter(segmentStart, currentPositionTime)) {
-      const gapDuration = differenceInMinutes(segmentStart, currentPositionTime);
-      if (gapDuration > 0.1) { // Avoid tiny gaps
-        segments.push({ type: 'gap', duration: gapDuration, start: currentPositionTime, end: segmentStart });
-      }
-    }
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: 14 }}>
+        {HEATMAP_STATES.map(s => (
+          <Button key={s.key} active={s.key === state} onClick={() => setState(s.key)}>{s.label}</Button>
+        ))}
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: columns, gap: 1, minWidth: 480, fontSize: 10, color: '#475569' }}>
+          <div />
+          {heatmap.hours.map((hour, i) => (
+            <div key={hour} style={{ textAlign: 'center' }}>{i % 3 === 0 ? hourLabel(hour) : ''}</div>
+          ))}
+          {heatmap.nights.map(night => (
+            <React.Fragment key={night.key}>
+              <div style={{ whiteSpace: 'nowrap', paddingRight: 4, lineHeight: '14px' }}>{format(parseISO(night.key), 'MMM d')}</div>
+              {night.values.map((value, i) => (
+                <div
+                  key={i}
+                  onClick={() => night.hasData && onSelect(night.key, i)}
+                  title={night.hasData ? `${format(parseISO(night.key), 'MMM d')} ${hourLabel(heatmap.hours[i])}: ${value} ${unit}` : 'No data'}
+                  style={{
+                    height: 14,
+                    borderRadius: 2,
+                    background: night.hasData ? cellColor(value) : 'repeating-linear-gradient(45deg, #f1f5f9 0 3px, #e2e8f0 3px 6px)',
+                    border: night.hasData ? '1px solid #f1f5f9' : 'none',
+                    cursor: night.hasData ? 'pointer' : 'default',
+                  }}
+                />
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+      <p style={{ margin: '10px 0 0', fontSize: 12, color: '#64748b' }}>
+        {label} per hour ({count ? `darkest = ${scaleMax} ${unit}` : 'darkest = the whole hour'}). Click a cell to open that night at that hour.
+      </p>
+    </div>
+  );
+};
 
-    // 2. Determine Segment Type
-    let type = 'resting'; // Default
-     if (row.type === 'restlessness') {
-      if (row.value === '3' || row.value === 3) type = 'high';
-      else if (row.value === '2' || row.value === 2) type = 'light';
-      // Level 1 ('1') is resting
-    } else if (row.type === 'patient_detection' && (row.value === '0' || row.value === 0)) {
-       // Consider patient_detection=0 as out_of_bed ONLY if no other conflicting 'in bed' state exists
-       // This logic might need refinement based on exact sensor behavior
-       const conflicts = relevantRows.some(r =>
-          r !== row && // Not the same row
-          (r.type === 'patient_detection' && (r.value === '1' || r.value === '2' || r.value === '4')) && // Is an 'in bed' type
-          // Check for overlap
-          (isBefore(r.start, segmentEnd) && isAfter(r.end, segmentStart))
-       );
-       if (!conflicts) {
-           type = 'out_of_bed';
-       }
-    } // Add other type mappings if necessary
-
-    // 3. Add the Actual Activity Segment
-    const duration = differenceInMinutes(segmentEnd, segmentStart);
-    if (duration > 0.1) { // Avoid tiny segments
-      segments.push({ type, duration, start: segmentStart, end: segmentEnd, originalRow: row });
-    }
+// ────────── Activity Timeline Component (for Modal) ──────────
+const MISSED_TURN_BACKGROUND = 'repeating-linear-gradient(45deg, #dc2626 0 3px, #fca5a5 3px 6px)';
+
+// missedTurnWindows: overdue repositioning stretches of this night (see computeRepositionCompliance)
+const ActivityTimeline = ({ rows, dayKey, timeZone, nightStartHour = 0, missedTurnWindows = [], sensorCodes = DEFAULT_SENSOR_CODES, focusHour = null }) => {
+  const containerRef = useRef(null);
+  useEffect(() => {
+    if (focusHour !== null && containerRef.current) containerRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusHour, dayKey]);
+  if (!rows || !dayKey) return null;
 
-    // Update position only if this segment ends later than the current marker
-    currentPositionTime = dateMax([currentPositionTime, segmentEnd]);
-  });
+  // --- Calculate Timeline Boundaries ---
+  // The analysis night: nightStartHour on the day to the same wall time the next day.
+  // On DST nights this window is 23 or 25 hours long, so its length is measured, not assumed.
+  const { start: timelineStart, end: timelineEnd } = nightWindow(dayKey, timeZone, nightStartHour);
+  const totalTimelineMinutes = differenceInMinutes(timelineEnd, timelineStart);
+  const totalTimelineHours = Math.round(totalTimelineMinutes / 60);
+  const formatTime = (date, pattern = 'HH:mm') => formatInZone(date, pattern, timeZone);
+
+  // --- Filter and Sort Rows overlapping the window ---
+  const relevantRows = rows
+    .filter(row => isBefore(row.start, timelineEnd) && isAfter(row.end, timelineStart))
+    .sort((a, b) => a.start - b.start);
 
-  // Add final gap if needed, up to timelineEnd
-  if (isAfter(timelineEnd, currentPositionTime)) {
-    const finalGapDuration = differenceInMinutes(timelineEnd, currentPositionTime);
-    if (finalGapDuration > 0.1) {
-      segments.push({ type: 'gap', duration: finalGapDuration, start: currentPositionTime, end: timelineEnd });
-    }
+  if (relevantRows.length === 0) {
+     return <p style={{textAlign: 'center', color: '#64748b', margin: '20px 0'}}>No activity recorded between {formatTime(timelineStart)} and {formatTime(timelineEnd)}.</p>;
   }
 
+  // Overlapping rows are merged; where states overlap the stronger one is shown
+  const segments = buildTimelineSegments(relevantRows, timelineStart, timelineEnd, sensorCodes);
+  const legendCodes = codesByTimelineState(sensorCodes); // which codes are drawn as each state
+
   // --- Rendering ---
   const getColor = (type) => {
     switch (type) {
@@ -1477,6 +3109,7 @@ const ActivityTimeline = ({ rows, dayKey }) => {
       case 'resting': return '#6b7280'; // Gray-500
       case 'out_of_bed': return '#e5e7eb'; // Gray-200
       case 'gap': return '#f3f4f6'; // Gray-100 (background color)
+      case 'offline': return 'repeating-linear-gradient(45deg, #9ca3af 0 3px, #e5e7eb 3px 6px)'; // striped, sensor silent
       default: return '#d1d5db'; // Gray-300
     }
   };
@@ -1488,25 +3121,55 @@ const ActivityTimeline = ({ rows, dayKey }) => {
       case 'resting': return 'Resting';
       case 'out_of_bed': return 'Out of Bed';
       case 'gap': return 'No Data / Gap';
+      case 'offline': return 'Sensor Offline';
       default: return 'Unknown';
     }
   };
 
   // Hourly Markers
+  // Real elapsed hours, so a DST night shows the repeated or skipped hour in its labels
   const hourMarkers = Array.from({ length: totalTimelineHours }).map((_, i) => {
-    const hourDate = new Date(timelineStart);
-    hourDate.setHours(hourDate.getHours() + i + 1); // +1 because we mark the END of the hour
-    const percentage = ((i + 1) / totalTimelineHours) * 100;
-    return { percentage, label: format(hourDate, 'HH:mm') };
+    const hourDate = addHours(timelineStart, i + 1); // +1 because we mark the END of the hour
+    const percentage = ((i + 1) * 60 / totalTimelineMinutes) * 100;
+    return { percentage, label: formatTime(hourDate) };
   });
 
+  // The clock hour picked in the heatmap
+  const focus = focusHour === null ? null : {
+    start: zonedDayTime(dayKey, nightStartHour + focusHour, timeZone),
+    end: zonedDayTime(dayKey, nightStartHour + focusHour + 1, timeZone),
+  };
+
 
   return (
-    <div style={{ marginTop: 24, marginBottom: 16 }}>
+    <div ref={containerRef} style={{ marginTop: 24, marginBottom: 16 }}>
       <h4 style={{ textAlign: 'center', color: '#334155', marginBottom: 12, fontWeight: 600 }}>
-        Activity Timeline ({format(timelineStart, 'MMM d, HH:mm')} - {format(timelineEnd, 'HH:mm')})
+        Activity Timeline ({formatTime(timelineStart, 'MMM d, HH:mm')} - {formatTime(timelineEnd)})
       </h4>
 
+      {/* Missed turns, drawn above the timeline */}
+      {missedTurnWindows.length > 0 && (
+        <div style={{ position: 'relative', height: 8, marginBottom: 3 }}>
+          {missedTurnWindows.map((missed, index) => {
+            const from = Math.max(0, differenceInMinutes(missed.start, timelineStart));
+            const to = Math.min(totalTimelineMinutes, differenceInMinutes(missed.end, timelineStart));
+            if (to <= from) return null;
+            return (
+              <div
+                key={index}
+                style={{
+                  position: 'absolute', top: 0, bottom: 0, borderRadius: 2,
+                  left: `${(from / totalTimelineMinutes) * 100}%`,
+                  width: `${((to - from) / totalTimelineMinutes) * 100}%`,
+                  background: MISSED_TURN_BACKGROUND,
+                }}
+                title={`Turn overdue ${formatTime(missed.start)} - ${formatTime(missed.end)} (${differenceInMinutes(missed.end, missed.start)} min)`}
+              />
+            );
+          })}
+        </div>
+      )}
+
       {/* Timeline Container with Hourly Markers */}
       <div style={{ position: 'relative', height: 28, background: getColor('gap'), borderRadius: 6, overflow: 'hidden', border: '1px solid #e5e7eb', marginBottom: 20 }}>
         {/* Segments */}
@@ -1516,15 +3179,28 @@ const ActivityTimeline = ({ rows, dayKey }) => {
               key={index}
               style={{
                 width: `${Math.max(0, (segment.duration / totalTimelineMinutes) * 100)}%`,
-                backgroundColor: getColor(segment.type),
+                background: getColor(segment.type),
                 // borderRight: index < segments.length - 1 ? '1px solid rgba(255,255,255,0.3)' : 'none', // Remove divider for cleaner look
                 boxSizing: 'border-box',
               }}
-              title={`${getLabel(segment.type)} (${format(segment.start, 'HH:mm')} - ${format(segment.end, 'HH:mm')}, ${segment.duration.toFixed(0)} min)`}
+              title={`${getLabel(segment.type)} (${formatTime(segment.start)} - ${formatTime(segment.end)}, ${segment.duration.toFixed(0)} min)${segment.originalRow?.source_file ? `\nSource: ${segment.originalRow.source_file}` : ''}`}
             />
           ))}
         </div>
 
+        {/* Highlighted hour */}
+        {focus && focus.end > focus.start && (
+          <div
+            style={{
+              position: 'absolute', top: 0, bottom: 0, boxSizing: 'border-box',
+              left: `${(differenceInMinutes(focus.start, timelineStart) / totalTimelineMinutes) * 100}%`,
+              width: `${(differenceInMinutes(focus.end, focus.start) / totalTimelineMinutes) * 100}%`,
+              border: '2px solid #1e1b4b', borderRadius: 4, background: 'rgba(30, 27, 75, 0.08)',
+            }}
+            title={`${formatTime(focus.start)} - ${formatTime(focus.end)}`}
+          />
+        )}
+
         {/* Hourly Markers */}
         {hourMarkers.map((marker, index) => (
           <div key={index} style={{
@@ -1555,19 +3231,132 @@ const ActivityTimeline = ({ rows, dayKey }) => {
 
       {/* Legend */}
       <div style={{ display: 'flex', justifyContent: 'center', gap: '15px', marginTop: '10px', fontSize: '11px', color: '#4b5563', flexWrap: 'wrap' }}>
-        <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor('high'), marginRight: 4 }}></span>High Restl.</span>
-        <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor('light'), marginRight: 4 }}></span>Light Restl.</span>
-        <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor('resting'), marginRight: 4 }}></span>Resting</span>
-        <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor('out_of_bed'), marginRight: 4 }}></span>Out of Bed</span>
+        {TIMELINE_STATE_PRIORITY.filter(type => legendCodes[type]).map(type => (
+          <span key={type} style={{ display: 'inline-flex', alignItems: 'center' }} title={`Codes: ${legendCodes[type].join(', ')}`}>
+            <span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor(type), marginRight: 4 }}></span>
+            {getLabel(type)}
+            <span style={{ color: '#9ca3af', marginLeft: 3 }}>({legendCodes[type].join(', ')})</span>
+          </span>
+        ))}
          <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, backgroundColor: getColor('gap'), border: '1px solid #d1d5db', marginRight: 4 }}></span>Gap/No Data</span>
+         <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, background: getColor('offline'), marginRight: 4 }}></span>Sensor Offline</span>
+        {missedTurnWindows.length > 0 && (
+          <span style={{ display: 'inline-flex', alignItems: 'center' }}><span style={{ width: 10, height: 10, borderRadius: 2, background: MISSED_TURN_BACKGROUND, marginRight: 4 }}></span>Turn Overdue</span>
+        )}
       </div>
     </div>
   );
 };
 
+// ────────── Sensor Code Dictionary Modal ──────────
+// Edit what each type/value pair means and keep it as a named profile.
+// The built-in Standard profile can be used or copied but not overwritten.
+const SensorCodesModal = ({ activeProfile, onClose, onUse }) => {
+  const [profiles, setProfiles] = useState(loadSensorCodeProfiles);
+  const [codeList, setCodeList] = useState(() => toCodeList(activeProfile.codes));
+  const [profileName, setProfileName] = useState(activeProfile.name === STANDARD_PROFILE_NAME ? '' : activeProfile.name);
+
+  const name = profileName.trim();
+  const codes = fromCodeList(codeList);
+  const canSave = name && name !== STANDARD_PROFILE_NAME && Object.keys(codes).length > 0;
+
+  const updateLine = (index, changes) => setCodeList(prev => prev.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  const loadProfile = (profileKey) => {
+    const source = profileKey === STANDARD_PROFILE_NAME ? DEFAULT_SENSOR_CODES : profiles[profileKey];
+    setCodeList(toCodeList(source));
+    setProfileName(profileKey === STANDARD_PROFILE_NAME ? '' : profileKey);
+  };
+  const saveAndUse = () => {
+    const updated = { ...profiles, [name]: codes };
+    saveSensorCodeProfiles(updated);
+    setProfiles(updated);
+    onUse({ name, codes });
+  };
+  const deleteProfile = () => {
+    const { [name]: _removed, ...rest } = profiles;
+    saveSensorCodeProfiles(rest);
+    setProfiles(rest);
+    if (activeProfile.name === name) onUse({ name: STANDARD_PROFILE_NAME, codes: DEFAULT_SENSOR_CODES });
+    else loadProfile(STANDARD_PROFILE_NAME);
+  };
+
+  const cellStyle = { padding: '3px 4px' };
+  const inputStyle = { width: '100%', padding: '0.25rem 0.4rem', boxSizing: 'border-box' };
+
+  return (
+    <div style={modalBackdropStyle} onClick={onClose}>
+      <motion.div
+        style={{ ...modalContentStyle, maxWidth: '680px', maxHeight: '90vh', overflowY: 'auto' }}
+        onClick={(e) => e.stopPropagation()}
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+      >
+        <h3 style={{ marginTop: 0, marginBottom: 8, color: '#1e1b4b', textAlign: 'center' }}>Sensor Codes</h3>
+        <p style={{ marginTop: 0, marginBottom: 16, fontSize: 13, color: '#64748b', textAlign: 'center' }}>
+          What each event type and value means. All metrics and the activity timeline follow this table; codes not listed are ignored.
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: 16 }}>
+          {[STANDARD_PROFILE_NAME, ...Object.keys(profiles)].map(profileKey => (
+            <Button key={profileKey} active={profileKey === (name || STANDARD_PROFILE_NAME)} onClick={() => loadProfile(profileKey)}>
+              {profileKey}{profileKey === activeProfile.name ? ' (in use)' : ''}
+            </Button>
+          ))}
+        </div>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13, color: '#334155', marginBottom: 8 }}>
+          <thead>
+            <tr style={{ textAlign: 'left', color: '#64748b' }}>
+              <th style={cellStyle}>Type</th>
+              <th style={{ ...cellStyle, width: 80 }}>Value</th>
+              <th style={cellStyle}>Meaning</th>
+              <th style={{ ...cellStyle, width: 36 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {codeList.map((line, index) => (
+              <tr key={index}>
+                <td style={cellStyle}><Input type="text" value={line.type} onChange={(e) => updateLine(index, { type: e.target.value })} style={inputStyle} /></td>
+                <td style={cellStyle}><Input type="text" value={line.value} onChange={(e) => updateLine(index, { value: e.target.value })} style={inputStyle} /></td>
+                <td style={cellStyle}>
+                  <select value={line.state} onChange={(e) => updateLine(index, { state: e.target.value })} style={{ ...inputStyle, height: 30, borderRadius: 6, border: '1px solid #cbd5e1' }}>
+                    {Object.entries(SENSOR_STATES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                </td>
+                <td style={cellStyle}>
+                  <Button onClick={() => setCodeList(prev => prev.filter((_, i) => i !== index))} title="Remove this code">✕</Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Button onClick={() => setCodeList(prev => [...prev, { type: '', value: '', state: 'ignore' }])}>+ Add Code</Button>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', justifyContent: 'space-between', marginTop: 24 }}>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Input type="text" value={profileName} placeholder="Profile name" onChange={(e) => setProfileName(e.target.value)} />
+            {profiles[name] && <Button onClick={deleteProfile} title={`Delete profile "${name}"`}>Delete</Button>}
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Button onClick={onClose}>Cancel</Button>
+            {!name && <Button active onClick={() => onUse({ name: STANDARD_PROFILE_NAME, codes: DEFAULT_SENSOR_CODES })}>Use Standard</Button>}
+            {name && (
+              <Button active disabled={!canSave} onClick={saveAndUse} title={name === STANDARD_PROFILE_NAME ? 'Pick another name; Standard is built in' : undefined}>
+                Save &amp; Use
+              </Button>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
 // ────────── Day Detail Modal ──────────
-const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForDay /* removed highRestlessPercentThreshold */ }) => {
-  if (!isOpen || !dayData || !avgData) return null;
+// focusHour (hour of the night, 0 = nightStartHour) highlights that hour on the timeline and scrolls to it
+const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForDay, timeZone, nightStartHour, fallRisk, sensorCodes, focusHour = null }) => {
+  if (!isOpen || !dayData) return null;
 
   const dayDate = parseISO(dayKey);
   const dayHours = (dayData.inBedMinutes / 60).toFixed(1);
@@ -1575,16 +3364,15 @@ const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForD
   const dayExits = dayData.exits; // Use new exit data
   const restlessPercent = dayData.restlessPercent;
   const longestSleep = dayData.longestContinuousSleepHours;
-
-  // REMOVED Activity Pie Chart Data (was based on restlessMinutes, less relevant now?)
-  // REMOVED Bar Chart Data (comparison vs avg might be less useful without risk scores)
+  // Which imported file(s) contributed rows to this day
+  const sourceFiles = Array.from(new Set((rawRowsForDay || []).map(r => r.source_file).filter(Boolean)));
 
   const modalKpiStyle = { marginBottom: '12px', fontSize: '14px', color: '#334155' };
 
   return (
     <div style={modalBackdropStyle} onClick={onClose}>
       <motion.div
-        style={modalContentStyle}
+        style={{ ...modalContentStyle, maxHeight: '90vh', overflowY: 'auto' }}
         onClick={(e) => e.stopPropagation()}
         initial={{ opacity: 0, scale: 0.9 }}
         animate={{ opacity: 1, scale: 1 }}
@@ -1592,7 +3380,7 @@ const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForD
         transition={{ duration: 0.2 }}
       >
         <h3 style={{ marginTop: 0, marginBottom: 20, color: '#1e1b4b', textAlign: 'center' }}>
-          Details for {format(dayDate, 'MMMM d, yyyy')}
+          {nightStartHour ? 'Night of' : 'Details for'} {format(dayDate, 'MMMM d, yyyy')}
         </h3>
 
         {/* Display Key Metrics */}
@@ -1602,13 +3390,89 @@ const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForD
              <p style={modalKpiStyle}><strong>Longest Continuous Sleep:</strong> {longestSleep} hours</p>
              <p style={modalKpiStyle}><strong>Reposition Events:</strong> {dayRepos}</p>
              <p style={modalKpiStyle}><strong>Bed Exits:</strong> {dayExits}</p> {/* Use new exit count */}
-             {/* REMOVED Fall Risk Score */}
+             {dayData.totalSleepMinutes !== null && dayData.totalSleepMinutes !== undefined && (
+               <>
+                 <p style={modalKpiStyle}><strong>Total Sleep:</strong> {(dayData.totalSleepMinutes / 60).toFixed(1)} hours ({dayData.sleepEfficiency}% efficiency)</p>
+                 <p style={modalKpiStyle}>
+                   <strong>Sleep Onset Latency:</strong> {dayData.sleepOnsetLatencyMinutes ?? '–'} min
+                   {' · '}<strong>WASO:</strong> {dayData.wasoMinutes ?? '–'} min
+                   {' · '}<strong>Awakenings:</strong> {dayData.awakenings}
+                 </p>
+                 <p style={modalKpiStyle}>
+                   <strong>Final Wake:</strong> {dayData.finalWakeTime ? formatInZone(dayData.finalWakeTime, 'HH:mm', timeZone) : '–'}
+                 </p>
+               </>
+             )}
+             {dayData.turningCompliance !== null && dayData.turningCompliance !== undefined && (
+               <p style={modalKpiStyle}>
+                 <strong>Turning Compliance:</strong> {dayData.turningCompliance}%
+                 {' · '}<strong>Missed Turns:</strong> {dayData.missedTurns}
+                 {' · '}<strong>Longest Gap:</strong> {formatAbsence(dayData.longestRepositionGapMinutes)}
+               </p>
+             )}
+             {dayData.coveragePercent !== null && dayData.coveragePercent !== undefined && (
+               <p style={modalKpiStyle}>
+                 <strong>Sensor Coverage:</strong> {dayData.coveragePercent}%
+                 {dayData.offlinePeriods.length > 0 && (
+                   <span style={{ color: '#64748b' }}>
+                     {' · '}offline {dayData.offlinePeriods.map(p => `${formatInZone(p.start, 'HH:mm', timeZone)}–${formatInZone(p.end, 'HH:mm', timeZone)}`).join(', ')}
+                   </span>
+                 )}
+               </p>
+             )}
+             {dayData.doubleCountedMinutes > 0 && (
+               <p style={{ ...modalKpiStyle, fontSize: '12px', color: '#64748b' }}>
+                 Overlapping rows merged: {dayData.doubleCountedMinutes} min of double-counted time removed.
+               </p>
+             )}
+             {sourceFiles.length > 0 && (
+               <p style={{ ...modalKpiStyle, fontSize: '12px', color: '#64748b', marginBottom: 0 }}>
+                 <strong>Source file{sourceFiles.length > 1 ? 's' : ''}:</strong> {sourceFiles.join(', ')}
+               </p>
+             )}
          </div>
 
+        {/* Fall risk with the factors behind it */}
+        {fallRisk && (
+          <div style={{ marginBottom: '8px', borderBottom: '1px solid #e2e8f0', paddingBottom: '16px' }}>
+            <p style={{ ...modalKpiStyle, display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <strong>Fall Risk Score:</strong>
+              <span style={{ background: getRiskScoreColor(fallRisk.score), color: '#fff', fontWeight: 700, borderRadius: 10, padding: '1px 8px' }}>
+                {fallRisk.score} / 10
+              </span>
+            </p>
+            <table style={{ width: '100%', fontSize: '12px', color: '#475569', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: '#64748b' }}>
+                  <th style={{ padding: '2px 4px' }}>Factor</th>
+                  <th style={{ padding: '2px 4px' }}>Why</th>
+                  <th style={{ padding: '2px 4px', textAlign: 'right' }}>Weight</th>
+                  <th style={{ padding: '2px 4px', textAlign: 'right' }}>Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fallRisk.factors.map(factor => (
+                  <tr key={factor.key} style={{ borderTop: '1px solid #f1f5f9' }}>
+                    <td style={{ padding: '3px 4px', fontWeight: 600 }}>{factor.label}</td>
+                    <td style={{ padding: '3px 4px' }}>{factor.detail}</td>
+                    <td style={{ padding: '3px 4px', textAlign: 'right' }}>{factor.weight}</td>
+                    <td style={{ padding: '3px 4px', textAlign: 'right', fontWeight: factor.points > 0 ? 700 : 400 }}>{factor.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Activity Timeline */}
         <ActivityTimeline
            rows={rawRowsForDay}
            dayKey={dayKey}
+           timeZone={timeZone}
+           nightStartHour={nightStartHour}
+           missedTurnWindows={dayData.missedTurnWindows}
+           sensorCodes={sensorCodes}
+           focusHour={focusHour}
         />
 
         <button onClick={onClose} style={closeButtonStyle}>Close</button>
@@ -1617,6 +3481,157 @@ const DayDetailModal = ({ isOpen, onClose, dayData, avgData, dayKey, rawRowsForD
   );
 };
 
+// ────────── Clinical Report ──────────
+const REPORT_SECTIONS = [
+  { key: 'kpis', label: 'KPI strip' },
+  { key: 'summary', label: 'Textual summary' },
+  { key: 'trends', label: 'Trend charts' },
+  { key: 'calendar', label: 'Calendar' },
+  { key: 'flaggedNights', label: 'Timelines of flagged nights' },
+];
+
+const ReportBuilderModal = ({ onClose, onBuild, flaggedNightCount }) => {
+  const [sections, setSections] = useState(() => REPORT_SECTIONS.reduce((acc, s) => ({ ...acc, [s.key]: true }), {}));
+  const toggle = (key) => setSections(prev => ({ ...prev, [key]: !prev[key] }));
+  const anySelected = Object.values(sections).some(Boolean);
+
+  return (
+    <div style={modalBackdropStyle} onClick={onClose}>
+      <motion.div
+        style={modalContentStyle}
+        onClick={(e) => e.stopPropagation()}
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+      >
+        <h3 style={{ marginTop: 0, marginBottom: 8, color: '#1e1b4b', textAlign: 'center' }}>Build Report</h3>
+        <p style={{ marginTop: 0, marginBottom: 20, fontSize: 13, color: '#64748b', textAlign: 'center' }}>
+          Covers the selected bed and date range. Print it or save it as PDF from the print dialog.
+        </p>
+        {REPORT_SECTIONS.map(({ key, label }) => (
+          <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: 10, fontSize: 14, color: '#334155' }}>
+            <input type="checkbox" checked={sections[key]} onChange={() => toggle(key)} />
+            {label}
+            {key === 'flaggedNights' && <span style={{ color: '#64748b', fontSize: 12 }}>({flaggedNightCount} night{flaggedNightCount === 1 ? '' : 's'})</span>}
+          </label>
+        ))}
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: 24 }}>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button active disabled={!anySelected} onClick={() => onBuild(sections)}>Create Report</Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+// Browsers only honour @page and hiding chrome through CSS, so this bit can't be inline
+const REPORT_PRINT_CSS = `
+  @page { size: A4; margin: 12mm; }
+  @media print {
+    .report-toolbar { display: none !important; }
+    body { background: #fff !important; }
+  }
+`;
+
+const reportSectionStyle = { breakInside: 'avoid', pageBreakInside: 'avoid', marginBottom: 24 };
+const reportHeadingStyle = { marginTop: 0, marginBottom: 12, color: '#1e1b4b', fontWeight: 600 };
+
+const ClinicalReport = ({
+  sections, onClose, bedName, dateRange, timeZone, nightStartHour, summary, textualSummary, trendData,
+  daysInView, enrichedDailyData, highRestlessPercentThreshold, rowsByNight, riskScores, anomalies, minCoveragePercent, sensorCodes,
+}) => {
+  const generatedAt = useMemo(() => new Date(), []);
+
+  const flaggedNights = useMemo(() => Object.keys(enrichedDailyData)
+    .filter(key => isWithinInterval(parseISO(key), dateRange))
+    .sort()
+    .map(key => ({ key, flags: getNightFlags(enrichedDailyData[key], highRestlessPercentThreshold) }))
+    .filter(night => night.flags.length > 0), [enrichedDailyData, dateRange, highRestlessPercentThreshold]);
+
+  return (
+    <div style={{ background: '#fff', minHeight: '100vh', padding: 32, fontFamily: "Inter, sans-serif", fontSize: '14px', color: '#334155' }}>
+      <style>{REPORT_PRINT_CSS}</style>
+      <div className="report-toolbar" style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginBottom: 24 }}>
+        <Button onClick={onClose}>Back to Dashboard</Button>
+        <Button active onClick={() => window.print()}>Print / Save as PDF</Button>
+      </div>
+
+      <div style={{ maxWidth: 900, margin: '0 auto' }}>
+        {/* Report header */}
+        <div style={{ borderBottom: '2px solid #1e1b4b', paddingBottom: 12, marginBottom: 24 }}>
+          <h1 style={{ margin: 0, color: '#1e1b4b', fontSize: 24 }}>BedSense Clinical Report</h1>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px', marginTop: 8, fontSize: 13 }}>
+            <span><strong>Bed:</strong> {bedName || 'All beds'}</span>
+            <span><strong>Period:</strong> {format(dateRange.start, 'MMM d, yyyy')} – {format(dateRange.end, 'MMM d, yyyy')}</span>
+            <span><strong>Nights:</strong> {nightWindowLabel(nightStartHour)}</span>
+            <span><strong>Generated:</strong> {formatInZone(generatedAt, 'MMM d, yyyy HH:mm', timeZone)} ({timeZone})</span>
+          </div>
+        </div>
+
+        {sections.kpis && summary && (
+          <div style={reportSectionStyle}>
+            <h4 style={reportHeadingStyle}>Key Figures</h4>
+            <div style={{ display: 'flex', gap: 24, justifyContent: 'space-around', flexWrap: 'wrap', border: '1px solid #e2e8f0', borderRadius: 8, padding: 12 }}>
+              <SummaryStats summary={summary} />
+            </div>
+          </div>
+        )}
+
+        {sections.summary && textualSummary && (
+          <div style={reportSectionStyle}>
+            <h4 style={reportHeadingStyle}>Summary</h4>
+            <p style={{ margin: 0, lineHeight: 1.6 }}>{textualSummary}</p>
+          </div>
+        )}
+
+        {sections.trends && trendData && (
+          <div style={{ ...reportSectionStyle, pageBreakBefore: 'always', breakBefore: 'page' }}>
+            <h4 style={reportHeadingStyle}>Trend Analysis</h4>
+            <TrendCharts data={trendData} animate={false} />
+          </div>
+        )}
+
+        {sections.calendar && daysInView.length > 0 && (
+          <div style={{ ...reportSectionStyle, pageBreakBefore: 'always', breakBefore: 'page' }}>
+            <CalendarGrid
+              days={daysInView}
+              data={enrichedDailyData}
+              onDayClick={() => {}}
+              selectedDayKey={null}
+              highRestlessPercentThreshold={highRestlessPercentThreshold}
+              selectedDateRange={dateRange}
+              riskScores={riskScores}
+              anomalies={anomalies}
+              minCoveragePercent={minCoveragePercent}
+            />
+          </div>
+        )}
+
+        {sections.flaggedNights && (
+          <div style={{ pageBreakBefore: 'always', breakBefore: 'page' }}>
+            <h4 style={reportHeadingStyle}>Flagged Nights</h4>
+            {flaggedNights.length === 0 && <p style={{ color: '#64748b' }}>No nights were flagged in this period.</p>}
+            {flaggedNights.map(({ key, flags }) => (
+              <div key={key} style={{ ...reportSectionStyle, borderTop: '1px solid #e2e8f0', paddingTop: 12 }}>
+                <div style={{ fontWeight: 600, color: '#1e1b4b' }}>{format(parseISO(key), 'EEEE, MMMM d, yyyy')}</div>
+                <div style={{ fontSize: 13, color: '#b91c1c', marginBottom: 4 }}>{flags.join(' · ')}</div>
+                <ActivityTimeline
+                  rows={rowsByNight[key] || []}
+                  dayKey={key}
+                  timeZone={timeZone}
+                  nightStartHour={nightStartHour}
+                  missedTurnWindows={enrichedDailyData[key].missedTurnWindows}
+                  sensorCodes={sensorCodes}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Styles for Modal
 const modalBackdropStyle = {
   position: 'fixed',
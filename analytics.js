@@ -0,0 +1,1200 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Metric engine.
+// Pure functions from dashboard rows ({ start, end, bed_name, type, value }, see
+// dataImport.js) to per-day metrics, range summaries and chart series. No React
+// and no browser APIs, so scripts and tests can use it directly.
+// Metrics are keyed by night ("yyyy-MM-dd" of the night's start, see timeZone.js).
+// Per-night metrics: { inBedMinutes, repositions, exits, restlessCounts,
+//   doubleCountedMinutes, restlessMinutes, restlessPercent, longestContinuousSleepHours,
+//   plus the sleep measures from computeSleepMetrics, the turning figures from
+//   computeRepositionCompliance and the sensor coverage from computeCoverage }
+// Durations come from merged intervals, so overlapping rows are only counted once.
+// What a row means (in bed, restless level, ...) comes from the sensor code
+// dictionary in sensorCodes.js, passed as the `sensorCodes` option.
+// ─────────────────────────────────────────────────────────────────────────────
+import {
+  addDays,
+  eachDayOfInterval,
+  format,
+  parseISO,
+  differenceInMinutes,
+  differenceInCalendarDays,
+  isAfter,
+  isWithinInterval,
+} from "date-fns";
+import { toNightKey, nightWindow, formatInZone, zonedDayTime } from "./timeZone";
+import { DEFAULT_SENSOR_CODES, SENSOR_STATES, stateOf, restlessLevelOf } from "./sensorCodes";
+
+// ───────── Per-night helpers ─────────
+// Helper function to calculate longest continuous sleep
+export const calculateLongestContinuousSleep = (dailyRawRows, sensorCodes = DEFAULT_SENSOR_CODES) => {
+  if (!dailyRawRows || dailyRawRows.length === 0) return 0;
+
+  // Sort by start time just in case (on a copy - callers share these rows)
+  const sortedRows = [...dailyRawRows].sort((a, b) => a.start - b.start);
+
+  let longestSleepMinutes = 0;
+  let currentSleepStart = null;
+
+  // Define what constitutes an interruption (exit or high restlessness)
+  const isInterruption = (row) => {
+     const state = stateOf(row, sensorCodes);
+     return state === 'out_of_bed' || state === 'restless_high';
+  };
+
+  // Treat the start of the first non-interrupting event as potential sleep start
+  const firstRow = sortedRows[0];
+  if (!isInterruption(firstRow)) {
+      currentSleepStart = firstRow.start;
+  }
+
+  for (let i = 0; i < sortedRows.length; i++) {
+    const row = sortedRows[i];
+    const nextRow = sortedRows[i + 1];
+
+    if (isInterruption(row)) {
+      // Interruption happened, end current sleep segment
+      if (currentSleepStart) {
+        const duration = differenceInMinutes(row.start, currentSleepStart);
+        longestSleepMinutes = Math.max(longestSleepMinutes, duration);
+        currentSleepStart = null; // Reset sleep segment
+      }
+    } else {
+      // Not an interruption
+      if (!currentSleepStart) {
+         // Start of a potential new sleep segment
+         currentSleepStart = row.start;
+      }
+       // Check for gap before next event OR end of data
+      if (nextRow && isAfter(nextRow.start, row.end)) {
+          // Gap exists, consider sleep ended at row.end
+          const duration = differenceInMinutes(row.end, currentSleepStart);
+          longestSleepMinutes = Math.max(longestSleepMinutes, duration);
+          // Reset if the next row is an interruption, otherwise it continues implicitly
+          if (isInterruption(nextRow)) {
+              currentSleepStart = null;
+          } // else: gap might be resting, let the next iteration handle it.
+      } else if (!nextRow) {
+          // Last event, calculate duration until its end
+          const duration = differenceInMinutes(row.end, currentSleepStart);
+          longestSleepMinutes = Math.max(longestSleepMinutes, duration);
+      }
+    }
+  }
+
+  // Convert minutes to hours
+  return longestSleepMinutes / 60;
+};
+
+// Nights worth a closer look in case reviews; empty list = nothing notable
+export const SHORT_SLEEP_HOURS = 3;
+export const getNightFlags = (metrics, highRestlessPercentThreshold) => {
+  const flags = [];
+  if (parseFloat(metrics.restlessPercent) > highRestlessPercentThreshold) {
+    flags.push(`High restlessness (${metrics.restlessPercent}%)`);
+  }
+  if (metrics.inBedMinutes > 0 && parseFloat(metrics.longestContinuousSleepHours) < SHORT_SLEEP_HOURS) {
+    flags.push(`Short continuous sleep (${metrics.longestContinuousSleepHours}h)`);
+  }
+  return flags;
+};
+
+// ───────── Night windows ─────────
+// Group rows by night. A row that crosses a night boundary is cut there and
+// each piece goes to its own night; rows inside one night are kept as they are.
+export const groupRowsByNight = (rows, { timeZone = 'UTC', nightStartHour = 0 } = {}) => {
+  const groups = {};
+  const add = (key, row) => {
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(row);
+  };
+
+  rows.forEach(row => {
+    let nightKey = toNightKey(row.start, timeZone, nightStartHour);
+    let boundary = nightWindow(nightKey, timeZone, nightStartHour).end;
+    if (row.end <= boundary) {
+      add(nightKey, row);
+      return;
+    }
+    let pieceStart = row.start;
+    while (row.end > boundary) {
+      add(nightKey, { ...row, start: pieceStart, end: boundary });
+      pieceStart = boundary;
+      nightKey = toNightKey(boundary, timeZone, nightStartHour);
+      boundary = nightWindow(nightKey, timeZone, nightStartHour).end;
+    }
+    add(nightKey, { ...row, start: pieceStart, end: row.end });
+  });
+  return groups;
+};
+
+// The rows (cut at the boundaries) that make up one night
+export const rowsForNight = (rows, nightKey, options) => groupRowsByNight(rows, options)[nightKey] || [];
+
+// ───────── Interval model ─────────
+// Intervals are { start, end } in epoch ms, sorted and non-overlapping once merged.
+const MINUTE_MS = 60 * 1000;
+
+export const mergeIntervals = (rows) => {
+  const sorted = rows
+    .map(r => ({ start: +r.start, end: +r.end }))
+    .filter(i => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+    else merged.push(interval);
+  });
+  return merged;
+};
+
+// Parts of merged `intervals` not covered by merged `cut`
+export const subtractIntervals = (intervals, cut) => {
+  const result = [];
+  intervals.forEach(({ start, end }) => {
+    let cursor = start;
+    cut.forEach(c => {
+      if (c.end <= cursor || c.start >= end) return;
+      if (c.start > cursor) result.push({ start: cursor, end: c.start });
+      cursor = Math.max(cursor, c.end);
+    });
+    if (cursor < end) result.push({ start: cursor, end });
+  });
+  return result;
+};
+
+const totalMs = (intervals) => intervals.reduce((acc, i) => acc + (+i.end - +i.start), 0);
+const toMinutes = (ms) => Math.round(ms / MINUTE_MS);
+
+// Restlessness levels overlap in some exports; the higher level wins
+const mergeRestlessness = (restlessRows, sensorCodes) => {
+  const ofLevel = (level) => mergeIntervals(restlessRows.filter(r => restlessLevelOf(r, sensorCodes) === level));
+  const high = ofLevel(3);
+  const medium = subtractIntervals(ofLevel(2), high);
+  const low = subtractIntervals(ofLevel(1), mergeIntervals([...high, ...medium]));
+  return { 1: low, 2: medium, 3: high };
+};
+
+// Merged in-bed and restless time (ms) of one night. Overlaps are resolved per
+// bed: two beds occupied at the same time still add up in the pooled view.
+const mergedNightDurations = (inBedRows, restlessRows, sensorCodes) => {
+  const totals = { inBed: 0, 1: 0, 2: 0, 3: 0 };
+  new Set([...inBedRows, ...restlessRows].map(r => r.bed_name)).forEach(bed => {
+    const ofBed = (rows) => rows.filter(r => r.bed_name === bed);
+    totals.inBed += totalMs(mergeIntervals(ofBed(inBedRows)));
+    const restless = mergeRestlessness(ofBed(restlessRows), sensorCodes);
+    [1, 2, 3].forEach(level => { totals[level] += totalMs(restless[level]); });
+  });
+  return totals;
+};
+
+// ───────── Sleep measures ─────────
+// Asleep = in bed and not highly restless (level 3), the same interruption rule
+// as longest continuous sleep. Sleep starts with the first asleep stretch of at
+// least SLEEP_ONSET_MIN_MINUTES and ends with the last asleep moment of the night.
+export const SLEEP_ONSET_MIN_MINUTES = 10;
+export const AWAKENING_MIN_MINUTES = 2; // shorter wake bouts don't count as awakenings
+
+const EMPTY_SLEEP_METRICS = {
+  totalSleepMinutes: null,
+  sleepOnsetLatencyMinutes: null,
+  wasoMinutes: null,
+  sleepEfficiency: null,
+  awakenings: null,
+  finalWakeTime: null,
+  finalWakeClockMinutes: null,
+};
+
+// Rows of one bed and one night. Minutes are rounded; efficiency is a % of time in bed.
+export const computeSleepMetrics = (inBedRows, restlessRows, timeZone = 'UTC', sensorCodes = DEFAULT_SENSOR_CODES) => {
+  const inBed = mergeIntervals(inBedRows);
+  if (!inBed.length) return EMPTY_SLEEP_METRICS;
+  const awake = mergeIntervals(restlessRows.filter(r => restlessLevelOf(r, sensorCodes) === 3));
+  const asleep = subtractIntervals(inBed, awake);
+
+  const onsetIndex = asleep.findIndex(i => i.end - i.start >= SLEEP_ONSET_MIN_MINUTES * MINUTE_MS);
+  if (onsetIndex === -1) {
+    return { ...EMPTY_SLEEP_METRICS, totalSleepMinutes: 0, sleepEfficiency: 0, awakenings: 0 };
+  }
+  const sleepBouts = asleep.slice(onsetIndex);
+  const onset = sleepBouts[0].start;
+  const finalWake = sleepBouts[sleepBouts.length - 1].end;
+  const sleepMs = totalMs(sleepBouts);
+  const wakeBouts = sleepBouts.slice(1).filter((bout, i) => bout.start - sleepBouts[i].end >= AWAKENING_MIN_MINUTES * MINUTE_MS);
+  const finalWakeTime = new Date(finalWake);
+
+  return {
+    totalSleepMinutes: toMinutes(sleepMs),
+    sleepOnsetLatencyMinutes: toMinutes(onset - inBed[0].start),
+    wasoMinutes: toMinutes(finalWake - onset - sleepMs),
+    sleepEfficiency: Number(((sleepMs / totalMs(inBed)) * 100).toFixed(1)),
+    awakenings: wakeBouts.length,
+    finalWakeTime,
+    finalWakeClockMinutes: Number(formatInZone(finalWakeTime, 'H', timeZone)) * 60 + Number(formatInZone(finalWakeTime, 'm', timeZone)),
+  };
+};
+
+// ───────── Sensor coverage ─────────
+// Offline is a stretch of OFFLINE_GAP_MINUTES or more with no row (rows are clipped to
+// the night window). A bed that sends heartbeats should always be reporting, so every
+// such stretch counts, at the window edges too. Without heartbeats an empty stretch
+// usually just means nobody was in bed, so only a gap between two rows counts, and only
+// when the last presence row before it was in bed and the row after it is not an exit.
+// The stretch before the first row and after the last row then never counts; an in-bed
+// stay carried over the window start is a row there, so a gap after it does.
+// Coverage is the share of the night window that is not offline.
+export const OFFLINE_GAP_MINUTES = 15;
+export const DEFAULT_MIN_COVERAGE_PERCENT = 80;
+
+const EMPTY_COVERAGE = { coveragePercent: null, offlineMinutes: null, offlinePeriods: [] };
+
+export const sendsHeartbeats = (rows, sensorCodes = DEFAULT_SENSOR_CODES) => rows.some(row => stateOf(row, sensorCodes) === 'heartbeat');
+
+// Offline stretches of [windowStart, windowEnd) as { start, end } in epoch ms
+const offlineIntervals = (rows, windowStart, windowEnd, sensorCodes, heartbeats) => {
+  const from = +windowStart;
+  const to = +windowEnd;
+  const gapMs = OFFLINE_GAP_MINUTES * MINUTE_MS;
+  const offline = [];
+  let cursor = heartbeats ? from : null; // null until the first row when gaps at the edges don't count
+  let presence = null; // last in_bed / out_of_bed state seen
+  [...rows].sort((a, b) => a.start - b.start).forEach(row => {
+    const start = Math.max(+row.start, from);
+    const end = Math.min(+row.end, to);
+    if (end < start) return; // outside the window
+    const state = stateOf(row, sensorCodes);
+    const unexplained = heartbeats || (presence === 'in_bed' && state !== 'out_of_bed');
+    if (cursor !== null && start - cursor >= gapMs && unexplained) offline.push({ start: cursor, end: start });
+    cursor = Math.max(cursor ?? start, end);
+    if (state === 'in_bed' || state === 'out_of_bed') presence = state;
+  });
+  if (heartbeats && to - cursor >= gapMs) offline.push({ start: cursor, end: to });
+  return offline;
+};
+
+// Rows of one bed and one night window. offlinePeriods are { start, end } Dates.
+// `heartbeats` says whether the bed sends heartbeats at all; a night where they all
+// stopped has none of its own.
+export const computeCoverage = (rows, windowStart, windowEnd, sensorCodes = DEFAULT_SENSOR_CODES, heartbeats = sendsHeartbeats(rows, sensorCodes)) => {
+  const windowMs = windowEnd - windowStart;
+  if (!(windowMs > 0)) return EMPTY_COVERAGE;
+  const offline = offlineIntervals(rows, windowStart, windowEnd, sensorCodes, heartbeats);
+  const offlineMs = totalMs(offline);
+  return {
+    coveragePercent: Number((((windowMs - offlineMs) / windowMs) * 100).toFixed(1)),
+    offlineMinutes: toMinutes(offlineMs),
+    offlinePeriods: offline.map(i => ({ start: new Date(i.start), end: new Date(i.end) })),
+  };
+};
+
+// True when a night's coverage is known and below minCoveragePercent
+export const isLowCoverage = (metrics, minCoveragePercent = DEFAULT_MIN_COVERAGE_PERCENT) => (
+  metrics?.coveragePercent !== null && metrics?.coveragePercent !== undefined && metrics.coveragePercent < minCoveragePercent
+);
+
+// ───────── Repositioning compliance ─────────
+// Pressure-injury protocols: while in bed the patient should be turned at least every
+// `intervalMinutes`. The clock starts when the patient gets into bed and restarts at each
+// reposition; getting out of bed ends the stretch. A gap of g minutes spans ceil(g / interval)
+// intervals, and every one but the last went without a turn (missed). Compliance is the share
+// of intervals that were not missed.
+export const DEFAULT_TURNING_INTERVAL_MINUTES = 120;
+
+const EMPTY_COMPLIANCE = {
+  longestRepositionGapMinutes: null,
+  expectedTurns: null,
+  missedTurns: null,
+  turningCompliance: null,
+  missedTurnWindows: [],
+};
+
+// Rows of one bed and one night. missedTurnWindows are { start, end } Dates from the
+// moment a turn was due until the next turn or the end of the in-bed stretch.
+export const computeRepositionCompliance = (inBedRows, repositionRows, intervalMinutes = DEFAULT_TURNING_INTERVAL_MINUTES) => {
+  const inBed = mergeIntervals(inBedRows);
+  if (!inBed.length || !(intervalMinutes > 0)) return EMPTY_COMPLIANCE;
+  const intervalMs = intervalMinutes * MINUTE_MS;
+  const turns = repositionRows.map(r => +r.start).sort((a, b) => a - b);
+
+  let longestGap = 0;
+  let expected = 0;
+  let missed = 0;
+  const missedTurnWindows = [];
+  inBed.forEach(({ start, end }) => {
+    const points = [start, ...turns.filter(t => t > start && t < end), end];
+    for (let i = 0; i < points.length - 1; i++) {
+      const gap = points[i + 1] - points[i];
+      if (gap <= 0) continue;
+      const spans = Math.ceil(gap / intervalMs);
+      longestGap = Math.max(longestGap, gap);
+      expected += spans;
+      missed += spans - 1;
+      if (gap > intervalMs) missedTurnWindows.push({ start: new Date(points[i] + intervalMs), end: new Date(points[i + 1]) });
+    }
+  });
+
+  return {
+    longestRepositionGapMinutes: toMinutes(longestGap),
+    expectedTurns: expected,
+    missedTurns: missed,
+    turningCompliance: expected ? Number((((expected - missed) / expected) * 100).toFixed(1)) : null,
+    missedTurnWindows,
+  };
+};
+
+// Timeline states, strongest first: where rows overlap the first one listed is shown
+export const TIMELINE_STATE_PRIORITY = ['high', 'light', 'resting', 'out_of_bed'];
+
+// Cut [windowStart, windowEnd) into consecutive segments, one state each:
+// { type, start, end (Dates), duration (minutes), originalRow }. Uncovered time is a 'gap',
+// or 'offline' where the sensor was down (see Sensor coverage).
+// Rows are drawn as their state's `timeline` state (see SENSOR_STATES).
+export const buildTimelineSegments = (rows, windowStart, windowEnd, sensorCodes = DEFAULT_SENSOR_CODES, heartbeats = sendsHeartbeats(rows, sensorCodes)) => {
+  const from = +windowStart;
+  const to = +windowEnd;
+  const clipped = rows
+    .map(row => ({ row, state: SENSOR_STATES[stateOf(row, sensorCodes)]?.timeline, start: Math.max(+row.start, from), end: Math.min(+row.end, to) }))
+    .filter(r => r.state && r.end > r.start);
+  const points = Array.from(new Set([from, to, ...clipped.flatMap(r => [r.start, r.end])])).sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const covering = clipped.filter(r => r.start <= start && r.end >= end);
+    const top = covering.reduce((best, r) => (
+      !best || TIMELINE_STATE_PRIORITY.indexOf(r.state) < TIMELINE_STATE_PRIORITY.indexOf(best.state) ? r : best
+    ), null);
+    const type = top ? top.state : 'gap';
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.end = end;
+    else segments.push({ type, start, end, originalRow: top ? top.row : null });
+  }
+
+  const offline = offlineIntervals(rows, windowStart, windowEnd, sensorCodes, heartbeats);
+  const split = segments.flatMap(seg => {
+    if (seg.type !== 'gap' || !offline.length) return [seg];
+    const short = subtractIntervals([seg], offline).map(i => ({ ...i, type: 'gap', originalRow: null }));
+    const long = subtractIntervals([seg], short).map(i => ({ ...i, type: 'offline', originalRow: null }));
+    return [...short, ...long].sort((a, b) => a.start - b.start);
+  });
+  return split.map(seg => ({
+    ...seg,
+    start: new Date(seg.start),
+    end: new Date(seg.end),
+    duration: (seg.end - seg.start) / MINUTE_MS,
+  }));
+};
+
+// ───────── Hourly heatmap ─────────
+// Per night, the minutes of one state in each clock hour of the night (or, for
+// repositions, the number of events), so patterns like "restless at 03:00 every
+// night" line up. Hours are wall-clock hours from nightStartHour: across a DST
+// change the skipped hour stays empty and the repeated hour holds 2 hours.
+export const HEATMAP_STATES = [
+  { key: 'in_bed', label: 'In bed', unit: 'min' },
+  { key: 'restless_high', label: 'High restlessness', unit: 'min' },
+  { key: 'out_of_bed', label: 'Out of bed', unit: 'min' },
+  { key: 'reposition', label: 'Repositions', unit: 'events', count: true },
+];
+
+// { hours: [clock hour per column], nights: [{ key, hasData, values: [24 numbers] }], max }
+// `rowsByNight` (groupRowsByNight of `rows`) skips the grouping when the caller has it.
+export const buildHourlyHeatmap = (rows, nightKeys, {
+  state = 'in_bed', timeZone = 'UTC', nightStartHour = 0, sensorCodes = DEFAULT_SENSOR_CODES, rowsByNight: groupedRows = null,
+} = {}) => {
+  const rowsByNight = groupedRows || groupRowsByNight(rows, { timeZone, nightStartHour });
+  const counting = Boolean(HEATMAP_STATES.find(s => s.key === state)?.count);
+  const hours = Array.from({ length: 24 }, (_, i) => (nightStartHour + i) % 24);
+
+  const nights = nightKeys.map(key => {
+    const stateRows = (rowsByNight[key] || []).filter(row => stateOf(row, sensorCodes) === state);
+    const intervals = mergeIntervals(stateRows);
+    const values = hours.map((_, i) => {
+      const from = +zonedDayTime(key, nightStartHour + i, timeZone);
+      const to = +zonedDayTime(key, nightStartHour + i + 1, timeZone);
+      if (counting) return stateRows.filter(row => +row.start >= from && +row.start < to).length;
+      const clipped = intervals
+        .map(interval => ({ start: Math.max(interval.start, from), end: Math.min(interval.end, to) }))
+        .filter(interval => interval.end > interval.start);
+      return toMinutes(totalMs(clipped));
+    });
+    return { key, hasData: Boolean(rowsByNight[key]), values };
+  });
+
+  return { hours, nights, max: Math.max(0, ...nights.flatMap(n => n.values)) };
+};
+
+// ───────── Daily aggregation ─────────
+// Options: `bed` limits the metrics to one bed (null = all beds pooled),
+// `timeZone` and `nightStartHour` decide which night an event belongs to,
+// `turningIntervalMinutes` is the repositioning schedule, `sensorCodes` the code dictionary.
+// `rowsByNight` is groupRowsByNight of the (bed's) rows, for callers that already hold it.
+export const buildDailyData = (rawRows, {
+  bed: selectedBed = null, timeZone = 'UTC', nightStartHour = 0, turningIntervalMinutes = DEFAULT_TURNING_INTERVAL_MINUTES,
+  sensorCodes = DEFAULT_SENSOR_CODES, rowsByNight = null,
+} = {}) => {
+  if (!rawRows.length) return {};
+  const map = {};
+  // Filter for selected bed if necessary, then group rows by night for easier processing
+  const filteredRows = selectedBed ? rawRows.filter(r => r.bed_name === selectedBed) : rawRows;
+  const rowsByDay = rowsByNight || groupRowsByNight(filteredRows, { timeZone, nightStartHour });
+  const heartbeats = sendsHeartbeats(filteredRows, sensorCodes);
+
+  Object.keys(rowsByDay).forEach(dayKey => {
+      // Sort events within the night for accurate exit/state tracking
+      const sortedDayRows = [...rowsByDay[dayKey]].sort((a, b) => a.start - b.start);
+
+      map[dayKey] = {
+        inBedMinutes: 0,
+        repositions: 0,
+        exits: 0, // Recalculate exits based on transitions
+        restlessCounts: { 1: 0, 2: 0, 3: 0 },
+        doubleCountedMinutes: 0, // overlap removed by merging
+      };
+
+      let isCurrentlyInBed = false; // Track patient state
+      // Collected here, turned into durations after merging overlaps
+      const inBedRows = [];
+      const restlessRows = [];
+      const repositionRows = [];
+
+      sortedDayRows.forEach(row => {
+          const state = stateOf(row, sensorCodes);
+
+          // Track in-bed status based on presence states
+          const wasInBedBeforeEvent = isCurrentlyInBed;
+          if (state === 'in_bed' || state === 'out_of_bed') {
+              const isInBedEvent = state === 'in_bed';
+              isCurrentlyInBed = isInBedEvent;
+
+              if (isInBedEvent) {
+                inBedRows.push(row);
+              } else if (wasInBedBeforeEvent) { // If patient was in bed just before this out-of-bed event
+                 map[dayKey].exits += 1; // Count as an exit
+              }
+          }
+
+          // Reposition counting
+          if (state === 'reposition') {
+            map[dayKey].repositions += 1;
+            repositionRows.push(row);
+          }
+          // Restlessness intervals, per level
+          if (SENSOR_STATES[state]?.level) {
+            restlessRows.push(row);
+          }
+      });
+
+      const merged = mergedNightDurations(inBedRows, restlessRows, sensorCodes);
+      map[dayKey].inBedMinutes = toMinutes(merged.inBed);
+      [1, 2, 3].forEach(level => { map[dayKey].restlessCounts[level] = toMinutes(merged[level]); });
+      const rawMs = totalMs(inBedRows) + totalMs(restlessRows);
+      map[dayKey].doubleCountedMinutes = toMinutes(rawMs - (merged.inBed + merged[1] + merged[2] + merged[3]));
+
+      // Sleep measures only make sense for one person, so not for pooled beds
+      const singleBed = new Set(sortedDayRows.map(r => r.bed_name)).size === 1;
+      Object.assign(map[dayKey], singleBed ? computeSleepMetrics(inBedRows, restlessRows, timeZone, sensorCodes) : EMPTY_SLEEP_METRICS);
+      Object.assign(map[dayKey], singleBed ? computeRepositionCompliance(inBedRows, repositionRows, turningIntervalMinutes) : EMPTY_COMPLIANCE);
+      const { start: windowStart, end: windowEnd } = nightWindow(dayKey, timeZone, nightStartHour);
+      Object.assign(map[dayKey], singleBed ? computeCoverage(sortedDayRows, windowStart, windowEnd, sensorCodes, heartbeats) : EMPTY_COVERAGE);
+  });
+
+  return map;
+};
+
+// Adds restless % and longest continuous sleep to the per-day totals
+export const enrichDailyData = (dailyData, rawRows, {
+  bed: selectedBed = null, timeZone = 'UTC', nightStartHour = 0, sensorCodes = DEFAULT_SENSOR_CODES, rowsByNight: groupedRows = null,
+} = {}) => {
+  const enriched = {};
+  const dayKeys = Object.keys(dailyData);
+
+  // Filter raw rows for the selected bed and split them into nights ONCE for efficiency
+  const rowsByNight = groupedRows
+    || groupRowsByNight(selectedBed ? rawRows.filter(r => r.bed_name === selectedBed) : rawRows, { timeZone, nightStartHour });
+
+  dayKeys.forEach(key => {
+    const metrics = dailyData[key];
+    const { inBedMinutes, restlessCounts } = metrics; // Exits are now directly from dailyData
+
+    // Calculate Restlessness %
+    const restlessMinutes = (restlessCounts['2'] || 0) + (restlessCounts['3'] || 0);
+    const restlessPercent = inBedMinutes > 0 ? (restlessMinutes / inBedMinutes) * 100 : 0;
+
+    // Calculate Longest Continuous Sleep
+    const dailyRawRows = rowsByNight[key] || [];
+    const longestContinuousSleepHours = calculateLongestContinuousSleep(dailyRawRows, sensorCodes);
+
+    enriched[key] = {
+      ...metrics, // Includes recalculated exits
+      restlessMinutes,
+      restlessPercent: restlessPercent.toFixed(1),
+      longestContinuousSleepHours: longestContinuousSleepHours.toFixed(1),
+    };
+  });
+  return enriched;
+};
+
+// Both steps in one go: { "yyyy-MM-dd": metrics } for one bed (or all)
+export const computeDailyMetrics = (rows, options = {}) => enrichDailyData(buildDailyData(rows, options), rows, options);
+
+// { [bed_name]: { "yyyy-MM-dd": metrics } } for every bed in the rows
+export const computeBedDailyMetrics = (rows, options = {}) => {
+  const beds = Array.from(new Set(rows.map(r => r.bed_name))).sort();
+  return beds.reduce((acc, bed) => ({ ...acc, [bed]: computeDailyMetrics(rows, { ...options, bed }) }), {});
+};
+
+// ───────── Fall risk ─────────
+// Score 0-10 per night: the weighted mean of four factors, each scaled to 0-1,
+// so every point of the score can be traced back to a factor.
+export const DEFAULT_FALL_RISK_CONFIG = {
+  weights: { exits: 3, highRestlessness: 2, shortSleep: 2, baselineChange: 3 },
+  exitsForMax: 3, // this many exits in one night = full exit factor
+  restlessPercentForMax: 40, // restless % that counts as fully high
+  sleepTargetHours: 4, // longest continuous sleep below this adds risk
+  baselineNights: 7, // earlier nights of the bed the night is compared with
+};
+
+export const FALL_RISK_FACTORS = [
+  { key: 'exits', label: 'Night exits' },
+  { key: 'highRestlessness', label: 'High restlessness' },
+  { key: 'shortSleep', label: 'Short sleep' },
+  { key: 'baselineChange', label: 'Change from baseline' },
+];
+
+// Bands of the 0-10 score, for badge colours and the summary
+export const FALL_RISK_LEVELS = [
+  { key: 'high', label: 'high', min: 7 },
+  { key: 'medium', label: 'medium', min: 4 },
+  { key: 'low', label: 'low', min: 0 },
+];
+export const fallRiskLevel = (score) => FALL_RISK_LEVELS.find(level => score >= level.min) || FALL_RISK_LEVELS[FALL_RISK_LEVELS.length - 1];
+
+const MIN_BASELINE_NIGHTS = 3;
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// The up to `count` nights with data before keys[index] (keys sorted)
+const previousNights = (dailyMetrics, keys, index, count) => keys.slice(Math.max(0, index - count), index).map(k => dailyMetrics[k]);
+
+// `dailyMetrics` should be one bed's nights (baseline = that bed's history).
+// Returns { "yyyy-MM-dd": { score, factors: [{ key, label, weight, level, points, detail }] } }
+export const computeFallRiskScores = (dailyMetrics, config = DEFAULT_FALL_RISK_CONFIG) => {
+  const { weights, exitsForMax, restlessPercentForMax, sleepTargetHours, baselineNights } = { ...DEFAULT_FALL_RISK_CONFIG, ...config };
+  const totalWeight = FALL_RISK_FACTORS.reduce((acc, f) => acc + (Number(weights[f.key]) || 0), 0);
+  const keys = Object.keys(dailyMetrics).sort();
+  const scores = {};
+
+  keys.forEach((key, index) => {
+    const night = dailyMetrics[key];
+    const restless = parseFloat(night.restlessPercent);
+    const longest = parseFloat(night.longestContinuousSleepHours);
+    const levels = {
+      exits: { level: clamp01(night.exits / exitsForMax), detail: `${night.exits} exit(s)` },
+      highRestlessness: { level: clamp01(restless / restlessPercentForMax), detail: `${night.restlessPercent}% restless` },
+      shortSleep: {
+        level: night.inBedMinutes > 0 ? clamp01((sleepTargetHours - longest) / sleepTargetHours) : 0,
+        detail: `longest sleep ${night.longestContinuousSleepHours}h (target ${sleepTargetHours}h)`,
+      },
+    };
+
+    // Worse than the bed's own recent nights on exits, restlessness or sleep
+    const history = previousNights(dailyMetrics, keys, index, baselineNights);
+    if (history.length < MIN_BASELINE_NIGHTS) {
+      levels.baselineChange = { level: 0, detail: `not enough history (${history.length} of ${MIN_BASELINE_NIGHTS} nights)` };
+    } else {
+      const baseExits = mean(history.map(m => m.exits));
+      const baseRestless = mean(history.map(m => parseFloat(m.restlessPercent)));
+      const baseLongest = mean(history.map(m => parseFloat(m.longestContinuousSleepHours)));
+      levels.baselineChange = {
+        level: Math.max(
+          clamp01((night.exits - baseExits) / exitsForMax),
+          clamp01((restless - baseRestless) / restlessPercentForMax),
+          clamp01((baseLongest - longest) / sleepTargetHours)
+        ),
+        detail: `vs ${history.length}-night baseline: ${baseExits.toFixed(1)} exits, ${baseRestless.toFixed(1)}% restless, ${baseLongest.toFixed(1)}h longest sleep`,
+      };
+    }
+
+    const factors = FALL_RISK_FACTORS.map(({ key: factorKey, label }) => {
+      const weight = Number(weights[factorKey]) || 0;
+      const { level, detail } = levels[factorKey];
+      const points = totalWeight > 0 ? (10 * weight * level) / totalWeight : 0;
+      return { key: factorKey, label, weight, level, points: Number(points.toFixed(1)), detail };
+    });
+    scores[key] = { score: Number(factors.reduce((acc, f) => acc + f.points, 0).toFixed(1)), factors };
+  });
+  return scores;
+};
+
+// ───────── Personal baseline ─────────
+// Each night is compared with the same bed's previous nights. A metric deviates
+// when it is `threshold` standard deviations or more from that baseline's mean.
+// minSd keeps a very steady baseline (e.g. always 0 exits) from flagging tiny changes.
+// The trend tests below use the same metrics (trendLabel: name in the summary sentences).
+export const BASELINE_METRICS = [
+  { key: 'inBedHours', label: 'Time in bed', unit: 'h', value: m => m.inBedMinutes / 60, minSd: 0.5 },
+  { key: 'exits', label: 'Exits', unit: '', value: m => m.exits, minSd: 0.5 },
+  { key: 'repositions', label: 'Repositions', unit: '', value: m => m.repositions, minSd: 1 },
+  { key: 'restlessPercent', label: 'Restless', trendLabel: 'Restless %', unit: '%', value: m => parseFloat(m.restlessPercent), minSd: 2 },
+  { key: 'longestSleep', label: 'Longest sleep', unit: 'h', value: m => parseFloat(m.longestContinuousSleepHours), minSd: 0.5 },
+  { key: 'sleepEfficiency', label: 'Sleep efficiency', unit: '%', value: m => m.sleepEfficiency, minSd: 2 },
+  { key: 'waso', label: 'WASO', unit: ' min', value: m => m.wasoMinutes, minSd: 5 },
+];
+
+export const DEFAULT_BASELINE_OPTIONS = { baselineNights: 14, minNights: 5, threshold: 2 };
+
+// `dailyMetrics` should be one bed's nights. Returns only flagged nights:
+// { "yyyy-MM-dd": [{ metric, label, unit, value, mean, sd, z }] }
+export const detectBaselineAnomalies = (dailyMetrics, options = {}) => {
+  const { baselineNights, minNights, threshold } = { ...DEFAULT_BASELINE_OPTIONS, ...options };
+  const keys = Object.keys(dailyMetrics).sort();
+  const anomalies = {};
+
+  keys.forEach((key, index) => {
+    const history = previousNights(dailyMetrics, keys, index, baselineNights);
+    const deviations = [];
+    BASELINE_METRICS.forEach(({ key: metric, label, unit, value, minSd }) => {
+      const current = value(dailyMetrics[key]);
+      const past = history.map(value).filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+      if (current === null || current === undefined || Number.isNaN(current) || past.length < minNights) return;
+      const avg = mean(past);
+      const sd = Math.max(minSd, Math.sqrt(mean(past.map(v => (v - avg) ** 2))));
+      const z = (current - avg) / sd;
+      if (Math.abs(z) >= threshold) {
+        deviations.push({ metric, label, unit, value: current, mean: avg, sd, z: Number(z.toFixed(1)) });
+      }
+    });
+    if (deviations.length) anomalies[key] = deviations;
+  });
+  return anomalies;
+};
+
+// "Exits 3 (baseline 0.2 ± 0.5, +5.6 SD)"
+export const describeDeviation = ({ label, unit, value, mean: avg, sd, z }) => (
+  `${label} ${Number(value.toFixed(1))}${unit} (baseline ${avg.toFixed(1)} ± ${sd.toFixed(1)}, ${z > 0 ? '+' : ''}${z} SD)`
+);
+
+// ───────── Trend tests ─────────
+// Per metric over the range's nights (nights without data are skipped):
+// Mann-Kendall test for a monotonic trend, with Sen's slope as its size, and
+// Pettitt's test for a single shift in level. Both are rank based, so one wild
+// night does not make a trend. The p-values are the usual normal/asymptotic
+// approximations, fine for screening but not exact on a handful of nights.
+export const TREND_ALPHA = 0.05;
+export const MIN_TREND_NIGHTS = 8;
+const MIN_SEGMENT_NIGHTS = 3; // nights on each side of a change point
+
+const sign = (value) => (value > 0 ? 1 : value < 0 ? -1 : 0);
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// { s, z, p, slopePerDay } for values at day offsets `days`
+export const mannKendall = (values, days = values.map((_, i) => i)) => {
+  const n = values.length;
+  let s = 0;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i += 1) {
+    for (let j = i + 1; j < n; j += 1) {
+      s += sign(values[j] - values[i]);
+      if (days[j] !== days[i]) slopes.push((values[j] - values[i]) / (days[j] - days[i]));
+    }
+  }
+  // Variance with the correction for tied values
+  const ties = {};
+  values.forEach(v => { ties[v] = (ties[v] || 0) + 1; });
+  const tieTerm = Object.values(ties).reduce((acc, t) => acc + t * (t - 1) * (2 * t + 5), 0);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+  if (variance <= 0) return { s, z: 0, p: 1, slopePerDay: 0 };
+  const z = s > 0 ? (s - 1) / Math.sqrt(variance) : s < 0 ? (s + 1) / Math.sqrt(variance) : 0;
+  return { s, z, p: 2 * (1 - normalCdf(Math.abs(z))), slopePerDay: slopes.length ? median(slopes) : 0 };
+};
+
+// { index, p, direction } — the change falls after values[index]; null when the series is too short
+export const pettitt = (values, minSegment = MIN_SEGMENT_NIGHTS) => {
+  const n = values.length;
+  if (n < 2 * minSegment) return null;
+  let best = null;
+  for (let t = minSegment; t <= n - minSegment; t += 1) {
+    let u = 0;
+    for (let i = 0; i < t; i += 1) {
+      for (let j = t; j < n; j += 1) u += sign(values[j] - values[i]);
+    }
+    if (!best || Math.abs(u) > Math.abs(best.u)) best = { u, index: t - 1 };
+  }
+  const k = Math.abs(best.u);
+  return {
+    index: best.index,
+    p: Math.min(1, 2 * Math.exp((-6 * k * k) / (n ** 3 + n ** 2))),
+    direction: best.u > 0 ? 'up' : best.u < 0 ? 'down' : null,
+  };
+};
+
+// One entry per metric with enough nights in the range (minCoveragePercent leaves out
+// low-coverage nights, as in summarizeDays):
+// [{ metric, label, unit, nights,
+//    trend: { direction, p, slopePerWeek, significant },
+//    changePoint: { key, nextKey, direction, p, meanBefore, meanAfter, significant } | null }]
+export const detectTrends = (dailyMetrics, dateRange, { alpha = TREND_ALPHA, minNights = MIN_TREND_NIGHTS, minCoveragePercent = null } = {}) => {
+  if (!dateRange.start || !dateRange.end) return [];
+  const keys = Object.keys(dailyMetrics)
+    .filter(key => isWithinInterval(parseISO(key), dateRange))
+    .filter(key => minCoveragePercent === null || !isLowCoverage(dailyMetrics[key], minCoveragePercent))
+    .sort();
+
+  return BASELINE_METRICS.flatMap(({ key: metric, label, trendLabel, unit, value }) => {
+    const points = keys
+      .map(key => ({ key, value: value(dailyMetrics[key]) }))
+      .filter(p => p.value !== null && p.value !== undefined && !Number.isNaN(p.value));
+    if (points.length < minNights) return [];
+
+    const values = points.map(p => p.value);
+    const days = points.map(p => differenceInCalendarDays(parseISO(p.key), parseISO(points[0].key)));
+    const mk = mannKendall(values, days);
+    const shift = pettitt(values);
+    const changePoint = shift && shift.direction && {
+      key: points[shift.index].key,
+      nextKey: points[shift.index + 1].key,
+      direction: shift.direction,
+      p: shift.p,
+      meanBefore: mean(values.slice(0, shift.index + 1)),
+      meanAfter: mean(values.slice(shift.index + 1)),
+      significant: shift.p < alpha,
+    };
+    return [{
+      metric,
+      label: trendLabel || label,
+      unit,
+      nights: points.length,
+      trend: {
+        direction: mk.s > 0 ? 'up' : mk.s < 0 ? 'down' : null,
+        p: mk.p,
+        slopePerWeek: mk.slopePerDay * 7,
+        significant: mk.p < alpha && mk.s !== 0,
+      },
+      changePoint: changePoint || null,
+    }];
+  });
+};
+
+// Summary sentences for the significant results, e.g.
+// "Restless % rose significantly after Mar 4 (2.1% → 9.8%)."
+export const describeTrends = (trends) => trends.flatMap(({ label, unit, trend, changePoint }) => {
+  const fmt = (v) => `${v.toFixed(1)}${unit}`;
+  const sentences = [];
+  if (changePoint?.significant) {
+    sentences.push(`${label} ${changePoint.direction === 'up' ? 'rose' : 'fell'} significantly after ${format(parseISO(changePoint.key), 'MMM d')} (${fmt(changePoint.meanBefore)} → ${fmt(changePoint.meanAfter)}).`);
+  }
+  if (trend.significant) {
+    const slope = trend.slopePerWeek;
+    sentences.push(`${label} shows a significant ${trend.direction === 'up' ? 'upward' : 'downward'} trend (${slope > 0 ? '+' : ''}${fmt(slope)} per week).`);
+  }
+  return sentences;
+});
+
+// ───────── Bed-exit episodes ─────────
+// An episode runs from a transition to out of bed (the same transition
+// buildDailyData counts as an exit) to the next in-bed detection. If the data ends
+// first it runs to the bed's last timestamp and `returned` is false.
+// Episodes follow each bed's whole timeline, so an absence can cross a night boundary;
+// it belongs to the night it started in.
+export const NIGHT_TIME_HOURS = { start: 22, end: 6 }; // clock hours the falls program counts as night
+export const LONG_ABSENCE_MINUTES = 30;
+export const EXIT_DURATION_BUCKETS = [
+  { label: '< 5 min', maxMinutes: 5 },
+  { label: '5–15 min', maxMinutes: 15 },
+  { label: '15–30 min', maxMinutes: 30 },
+  { label: '30–60 min', maxMinutes: 60 },
+  { label: '1–2 h', maxMinutes: 120 },
+  { label: '> 2 h', maxMinutes: Infinity },
+];
+
+export const isNightTimeHour = (hour) => hour >= NIGHT_TIME_HOURS.start || hour < NIGHT_TIME_HOURS.end;
+
+// [{ bed, start, end, durationMinutes, returned, nightKey, clockHour, nightTime }] sorted by start
+export const buildExitEpisodes = (rows, { timeZone = 'UTC', nightStartHour = 0, sensorCodes = DEFAULT_SENSOR_CODES } = {}) => {
+  const rowsByBed = {};
+  rows.forEach(row => { (rowsByBed[row.bed_name] = rowsByBed[row.bed_name] || []).push(row); });
+
+  const episodes = [];
+  Object.keys(rowsByBed).forEach(bed => {
+    const bedRows = rowsByBed[bed];
+    // reduce, not Math.max(...rows): spreading a large export overflows the call stack
+    const dataEnd = new Date(bedRows.reduce((latest, r) => Math.max(latest, r.end.getTime()), -Infinity));
+    const detections = bedRows
+      .map(row => ({ row, state: stateOf(row, sensorCodes) }))
+      .filter(d => d.state === 'in_bed' || d.state === 'out_of_bed')
+      .sort((a, b) => a.row.start - b.row.start);
+
+    let isInBed = false;
+    let exitStart = null;
+    const close = (end, returned) => {
+      const clockHour = Number(formatInZone(exitStart, 'H', timeZone));
+      episodes.push({
+        bed,
+        start: exitStart,
+        end,
+        durationMinutes: Math.max(0, differenceInMinutes(end, exitStart)),
+        returned,
+        nightKey: toNightKey(exitStart, timeZone, nightStartHour),
+        clockHour,
+        nightTime: isNightTimeHour(clockHour),
+      });
+      exitStart = null;
+    };
+
+    detections.forEach(({ row, state }) => {
+      const inBedEvent = state === 'in_bed';
+      if (!inBedEvent && isInBed) exitStart = row.start;
+      if (inBedEvent && exitStart) close(row.start, true);
+      isInBed = inBedEvent;
+    });
+    if (exitStart) close(dataEnd, false);
+  });
+
+  return episodes.sort((a, b) => a.start - b.start);
+};
+
+// Histogram and duration figures for a set of episodes (e.g. one bed's episodes in the range)
+export const summarizeExitEpisodes = (episodes, { longAbsenceMinutes = LONG_ABSENCE_MINUTES } = {}) => {
+  const byClockHour = Array(24).fill(0);
+  const durationCounts = EXIT_DURATION_BUCKETS.map(() => 0);
+  episodes.forEach(episode => {
+    byClockHour[episode.clockHour] += 1;
+    durationCounts[EXIT_DURATION_BUCKETS.findIndex(b => episode.durationMinutes < b.maxMinutes)] += 1;
+  });
+
+  const returnedDurations = episodes.filter(e => e.returned).map(e => e.durationMinutes).sort((a, b) => a - b);
+  const mid = Math.floor(returnedDurations.length / 2);
+  const medianMinutes = !returnedDurations.length ? null
+    : returnedDurations.length % 2 ? returnedDurations[mid]
+    : (returnedDurations[mid - 1] + returnedDurations[mid]) / 2;
+
+  return {
+    count: episodes.length,
+    nightTimeCount: episodes.filter(e => e.nightTime).length,
+    notReturnedCount: episodes.filter(e => !e.returned).length,
+    medianMinutes, // of completed absences only
+    byClockHour,
+    durationCounts,
+    longAbsences: episodes.filter(e => e.durationMinutes >= longAbsenceMinutes).sort((a, b) => b.durationMinutes - a.durationMinutes),
+  };
+};
+
+// ───────── Range summaries ─────────
+// Range averages for the KPI strip; null when the range has no data.
+// With minCoveragePercent, nights whose sensor coverage is below it are left out
+// (counted in excludedLowCoverage).
+export const summarizeDays = (dailyMetrics, dateRange, { minCoveragePercent = null } = {}) => {
+  // Use enriched data now
+  const inRange = Object.keys(dailyMetrics).filter((d) =>
+    dateRange.start && dateRange.end && isWithinInterval(parseISO(d), dateRange)
+  );
+  const days = minCoveragePercent === null ? inRange : inRange.filter(d => !isLowCoverage(dailyMetrics[d], minCoveragePercent));
+  if (!days.length) return null;
+
+  const metricsForDays = days.map(d => dailyMetrics[d]);
+
+  const totalHours = metricsForDays.reduce((acc, m) => acc + m.inBedMinutes / 60, 0);
+  const totalRepositions = metricsForDays.reduce((acc, m) => acc + m.repositions, 0);
+  const totalExits = metricsForDays.reduce((acc, m) => acc + m.exits, 0); // Add total exits
+  const totalRestlessPercent = metricsForDays.reduce((acc, m) => acc + parseFloat(m.restlessPercent), 0);
+  const longestSleepValues = metricsForDays.map(m => parseFloat(m.longestContinuousSleepHours)).sort((a, b) => a - b);
+  
+  // Calculate Median for longest sleep
+  let medianLongestSleep = 0;
+  const mid = Math.floor(longestSleepValues.length / 2);
+  if (longestSleepValues.length > 0) {
+     medianLongestSleep = longestSleepValues.length % 2 !== 0
+         ? longestSleepValues[mid]
+         : (longestSleepValues[mid - 1] + longestSleepValues[mid]) / 2;
+  }
+
+  // Sleep measures: averaged over the nights that have them
+  const averageOf = (field) => {
+    const values = metricsForDays.map(m => m[field]).filter(v => v !== null && v !== undefined);
+    return values.length ? (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1) : null;
+  };
+  const wakeClock = metricsForDays.map(m => m.finalWakeClockMinutes).filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  const medianWake = wakeClock.length ? Math.round(wakeClock[Math.floor((wakeClock.length - 1) / 2)]) : null;
+
+  return {
+    avgHours: (totalHours / days.length).toFixed(1),
+    avgRepositions: (totalRepositions / days.length).toFixed(1),
+    avgExits: (totalExits / days.length).toFixed(1), // Add avg exits
+    avgRestlessPercent: (totalRestlessPercent / days.length).toFixed(1),
+    medianLongestSleep: medianLongestSleep.toFixed(1),
+    avgSleepEfficiency: averageOf('sleepEfficiency'),
+    avgSleepOnsetLatency: averageOf('sleepOnsetLatencyMinutes'),
+    avgWaso: averageOf('wasoMinutes'),
+    avgAwakenings: averageOf('awakenings'),
+    avgTurningCompliance: averageOf('turningCompliance'),
+    totalMissedTurns: metricsForDays.some(m => m.missedTurns !== null && m.missedTurns !== undefined)
+      ? metricsForDays.reduce((acc, m) => acc + (m.missedTurns || 0), 0) : null,
+    medianFinalWake: medianWake === null ? null : `${String(Math.floor(medianWake / 60)).padStart(2, '0')}:${String(medianWake % 60).padStart(2, '0')}`,
+    days: days.length,
+    excludedLowCoverage: inRange.length - days.length,
+  };
+};
+
+// Plain-language paragraph under the KPI strip; `trends` from detectTrends,
+// `riskScores` from computeFallRiskScores (the highest-risk night is named when given)
+export const buildTextualSummary = (dailyMetrics, dateRange, summary, trends = detectTrends(dailyMetrics, dateRange), riskScores = {}) => {
+  if (!summary || !dateRange.start || !dateRange.end) return null;
+
+  // Use enriched data for analysis within the text
+  const relevantDays = Object.entries(dailyMetrics)
+    .map(([key, metrics]) => ({ date: parseISO(key), key, ...metrics }))
+    .filter(d => isWithinInterval(d.date, dateRange));
+
+  if (!relevantDays.length) return "No data available for the selected period.";
+
+  let maxHoursDay = null, minHoursDay = null, maxReposDay = null, minSleepDay = null, maxRiskDay = null;
+  let maxHours = -1, minHours = Infinity, maxRepos = -1, minSleep = Infinity, maxRisk = -1;
+  let exitDaysCount = 0;
+  let shortSleepDaysCount = 0;
+  let doubleCountedMinutes = 0;
+
+  relevantDays.forEach(day => {
+    const hours = day.inBedMinutes / 60;
+    const longSleep = parseFloat(day.longestContinuousSleepHours);
+    const risk = riskScores[day.key]?.score;
+
+    if (hours > maxHours) { maxHours = hours; maxHoursDay = day.key; }
+    if (hours < minHours) { minHours = hours; minHoursDay = day.key; }
+    if (day.repositions > maxRepos) { maxRepos = day.repositions; maxReposDay = day.key; }
+    if (day.exits > 0) { exitDaysCount++; }
+    if (longSleep < minSleep) { minSleep = longSleep; minSleepDay = day.key; }
+    if (longSleep < 3) { shortSleepDaysCount++; }
+    doubleCountedMinutes += day.doubleCountedMinutes || 0;
+    if (risk > maxRisk) { maxRisk = risk; maxRiskDay = day.key; }
+  });
+
+  const formatKeyDate = (key) => format(parseISO(key), 'MMM d');
+
+  const sentences = [
+    `Over ${summary.days} days analysed (${format(dateRange.start, 'MMM d')} to ${format(dateRange.end, 'MMM d')}), the average time in bed was ${summary.avgHours} hours/day (${summary.avgRestlessPercent}% restless) with ${summary.avgRepositions} repositions/night and ${summary.avgExits} exits/night. Median longest continuous sleep was ${summary.medianLongestSleep} hours.`,
+    maxHoursDay && `Longest time in bed: ${maxHours.toFixed(1)}h on ${formatKeyDate(maxHoursDay)}.`,
+    minHoursDay && minHours !== Infinity && `Shortest time: ${minHours.toFixed(1)}h on ${formatKeyDate(minHoursDay)}.`,
+    maxReposDay && `Most repositions: ${maxRepos} on ${formatKeyDate(maxReposDay)}.`,
+    exitDaysCount > 0 && `Bed exits occurred on ${exitDaysCount} day(s).`,
+    shortSleepDaysCount > 0 && `${shortSleepDaysCount} night(s) had less than 3 hours of continuous sleep.`,
+    minSleepDay && minSleep !== Infinity && `Shortest continuous sleep: ${minSleep.toFixed(1)}h on ${formatKeyDate(minSleepDay)}.`,
+    ...describeTrends(trends),
+    summary.excludedLowCoverage > 0 && `${summary.excludedLowCoverage} night(s) with low sensor coverage were left out of the averages.`,
+    summary.avgTurningCompliance !== null && summary.avgTurningCompliance !== undefined && `Repositioning compliance against the turning schedule averaged ${summary.avgTurningCompliance}% (${summary.totalMissedTurns} missed turn(s)).`,
+    doubleCountedMinutes > 0 && `Overlapping sensor rows were merged, removing ${doubleCountedMinutes} min of double-counted time.`,
+    maxRiskDay && `Highest fall risk score: ${maxRisk}/10 (${fallRiskLevel(maxRisk).label}) on ${formatKeyDate(maxRiskDay)}.`,
+  ];
+
+  return sentences.filter(Boolean).join(' ');
+
+};
+
+// One value per calendar day in the range (0 for nights without data), for TrendCharts
+// `anomalies` (from detectBaselineAnomalies) adds anomalyMetrics: per day, the deviating metric keys
+// `trends` (from detectTrends) adds changePoints: the significant ones as label indices,
+// [{ metric, label, direction, index, nextIndex }] with the change between index and nextIndex
+export const buildTrendData = (dailyMetrics, dateRange, anomalies = {}, trends = []) => {
+  if (!dateRange.start || !dateRange.end) return null;
+
+  const daysInRange = eachDayOfInterval({ start: dateRange.start, end: dateRange.end });
+  const labels = [];
+  const hours = [];
+  const repositions = [];
+  const exits = [];
+  const restlessPercents = []; // Add restless % data
+  // Optional sleep series; null where a night has no value, so the line shows a gap
+  const sleepEfficiency = [];
+  const sleepOnsetLatency = [];
+  const waso = [];
+  const awakenings = [];
+  const turningCompliance = [];
+  const missedTurns = [];
+  const anomalyMetrics = [];
+  const dayIndex = {};
+
+  daysInRange.forEach((day, index) => {
+    const dayKey = format(day, 'yyyy-MM-dd');
+    const metrics = dailyMetrics[dayKey]; // Use enriched data
+    dayIndex[dayKey] = index;
+    labels.push(format(day, 'MMM d')); // Format for chart label
+    hours.push(metrics ? (metrics.inBedMinutes / 60) : 0);
+    repositions.push(metrics ? metrics.repositions : 0);
+    exits.push(metrics ? metrics.exits : 0);
+    restlessPercents.push(metrics ? parseFloat(metrics.restlessPercent) : 0);
+    sleepEfficiency.push(metrics ? metrics.sleepEfficiency ?? null : null);
+    sleepOnsetLatency.push(metrics ? metrics.sleepOnsetLatencyMinutes ?? null : null);
+    waso.push(metrics ? metrics.wasoMinutes ?? null : null);
+    awakenings.push(metrics ? metrics.awakenings ?? null : null);
+    turningCompliance.push(metrics ? metrics.turningCompliance ?? null : null);
+    missedTurns.push(metrics ? metrics.missedTurns ?? null : null);
+    anomalyMetrics.push((anomalies[dayKey] || []).map(d => d.metric));
+  });
+
+  // Only return data if there's more than one day to show a trend
+  if (labels.length <= 1) return null;
+
+  const changePoints = trends
+    .filter(t => t.changePoint?.significant && dayIndex[t.changePoint.key] !== undefined && dayIndex[t.changePoint.nextKey] !== undefined)
+    .map(({ metric, label, changePoint }) => ({
+      metric, label, direction: changePoint.direction, index: dayIndex[changePoint.key], nextIndex: dayIndex[changePoint.nextKey],
+    }));
+
+  return { labels, hours, repositions, exits, restlessPercents, sleepEfficiency, sleepOnsetLatency, waso, awakenings, turningCompliance, missedTurns, anomalyMetrics, changePoints };
+
+};
+
+// Ward average of the overlay series (bedMetrics from computeBedDailyMetrics): per day
+// the mean over the beds with data that night, null when no bed has any
+export const buildWardAverageTrend = (bedMetrics, dateRange) => {
+  if (!dateRange.start || !dateRange.end) return null;
+  const nights = eachDayOfInterval(dateRange).map(day => {
+    const dayKey = format(day, 'yyyy-MM-dd');
+    return Object.values(bedMetrics).map(daily => daily[dayKey]).filter(Boolean);
+  });
+  const average = (value) => nights.map(metrics => (
+    metrics.length ? Number((metrics.reduce((acc, m) => acc + value(m), 0) / metrics.length).toFixed(2)) : null
+  ));
+  return {
+    hours: average(m => m.inBedMinutes / 60),
+    repositions: average(m => m.repositions),
+    exits: average(m => m.exits),
+    beds: nights.map(metrics => metrics.length),
+  };
+};
+
+// ───────── Range comparison ─────────
+// The KPI strip's values, for comparing two ranges. Percent KPIs change in
+// percentage points; final wake is a clock time, so its change is in minutes.
+export const SUMMARY_KPIS = [
+  { key: 'avgHours', label: 'Avg hours in bed / day', unit: 'h' },
+  { key: 'avgRepositions', label: 'Avg repositions / night', unit: '' },
+  { key: 'avgExits', label: 'Avg exits / night', unit: '' },
+  { key: 'avgRestlessPercent', label: 'Avg restless %', unit: '%' },
+  { key: 'medianLongestSleep', label: 'Median longest sleep', unit: 'h' },
+  { key: 'avgSleepEfficiency', label: 'Avg sleep efficiency', unit: '%' },
+  { key: 'avgSleepOnsetLatency', label: 'Avg onset latency', unit: ' min' },
+  { key: 'avgWaso', label: 'Avg WASO', unit: ' min' },
+  { key: 'avgAwakenings', label: 'Avg awakenings', unit: '' },
+  { key: 'medianFinalWake', label: 'Median final wake', unit: ' min', clock: true },
+  { key: 'avgTurningCompliance', label: 'Turning compliance', unit: '%' },
+  { key: 'days', label: 'Days analysed', unit: '' },
+];
+
+const kpiValue = (summary, { key, clock }) => {
+  const raw = summary ? summary[key] : null;
+  if (raw === null || raw === undefined) return null;
+  if (clock) {
+    const [h, m] = String(raw).split(':').map(Number);
+    return h * 60 + m;
+  }
+  const value = parseFloat(raw);
+  return Number.isNaN(value) ? null : value;
+};
+
+// [{ key, label, unit, clock, current, previous, delta, deltaPercent }], current minus previous.
+// Either summary may be null (range without data); the deltas are then null.
+export const compareSummaries = (current, previous) => SUMMARY_KPIS.map(kpi => {
+  const a = kpiValue(current, kpi);
+  const b = kpiValue(previous, kpi);
+  let delta = a === null || b === null ? null : a - b;
+  if (delta !== null && kpi.clock) delta = ((delta + 720) % 1440 + 1440) % 1440 - 720; // shortest way round the clock
+  return {
+    ...kpi,
+    clock: Boolean(kpi.clock),
+    current: current ? current[kpi.key] ?? null : null,
+    previous: previous ? previous[kpi.key] ?? null : null,
+    delta: delta === null ? null : Number(delta.toFixed(1)),
+    deltaPercent: delta === null || kpi.clock || b === 0 ? null : Number(((delta / Math.abs(b)) * 100).toFixed(1)),
+  };
+});
+
+// The same-length range right before `dateRange` ("last week" for a week)
+export const previousPeriod = (dateRange) => {
+  if (!dateRange.start || !dateRange.end) return null;
+  const length = differenceInCalendarDays(dateRange.end, dateRange.start) + 1;
+  return { start: addDays(dateRange.start, -length), end: addDays(dateRange.start, -1) };
+};
+
+// ───────── Ward overview ─────────
+// One entry per bed (bedMetrics from computeBedDailyMetrics): the figures of its
+// latest night with data in the range, and one strip cell per day of the range.
+// [{ bed, lastNightKey, lastNight: { hours, exits, restlessPercent, longestSleep } | null,
+//    strip: [{ key, hours, exits, restlessPercent }] (null figures = no data) }]
+export const buildWardOverview = (bedMetrics, dateRange) => {
+  if (!dateRange.start || !dateRange.end) return [];
+  const dayKeys = eachDayOfInterval(dateRange).map(day => format(day, 'yyyy-MM-dd'));
+  const figures = (metrics) => ({
+    hours: Number((metrics.inBedMinutes / 60).toFixed(1)),
+    exits: metrics.exits,
+    restlessPercent: parseFloat(metrics.restlessPercent),
+    longestSleep: parseFloat(metrics.longestContinuousSleepHours),
+  });
+
+  return Object.keys(bedMetrics).map(bed => {
+    const daily = bedMetrics[bed];
+    const lastNightKey = [...dayKeys].reverse().find(key => daily[key]) || null;
+    return {
+      bed,
+      lastNightKey,
+      lastNight: lastNightKey ? figures(daily[lastNightKey]) : null,
+      strip: dayKeys.map(key => (daily[key]
+        ? { key, ...figures(daily[key]) }
+        : { key, hours: null, exits: null, restlessPercent: null, longestSleep: null })),
+    };
+  });
+};
+
+// ───────── Export ─────────
+// One flat record per bed per day in the range; nights without data are left out
+export const buildDailyMetricsRecords = (rawRows, beds, dateRange, options = {}) => {
+  const dayKeys = eachDayOfInterval(dateRange).map(day => format(day, 'yyyy-MM-dd'));
+  const records = [];
+  beds.forEach(bed => {
+    const enriched = computeDailyMetrics(rawRows, { ...options, bed });
+    dayKeys.forEach(dayKey => {
+      const metrics = enriched[dayKey];
+      if (!metrics) return;
+      records.push({
+        date: dayKey,
+        bed_name: bed,
+        in_bed_minutes: metrics.inBedMinutes,
+        in_bed_hours: Number((metrics.inBedMinutes / 60).toFixed(2)),
+        repositions: metrics.repositions,
+        exits: metrics.exits,
+        restless_low_minutes: metrics.restlessCounts['1'] || 0,
+        restless_medium_minutes: metrics.restlessCounts['2'] || 0,
+        restless_high_minutes: metrics.restlessCounts['3'] || 0,
+        restless_percent: parseFloat(metrics.restlessPercent),
+        double_counted_minutes: metrics.doubleCountedMinutes,
+        total_sleep_minutes: metrics.totalSleepMinutes,
+        sleep_onset_latency_minutes: metrics.sleepOnsetLatencyMinutes,
+        waso_minutes: metrics.wasoMinutes,
+        sleep_efficiency_percent: metrics.sleepEfficiency,
+        awakenings: metrics.awakenings,
+        final_wake_time: metrics.finalWakeTime ? metrics.finalWakeTime.toISOString() : null,
+        longest_reposition_gap_minutes: metrics.longestRepositionGapMinutes,
+        missed_turns: metrics.missedTurns,
+        turning_compliance_percent: metrics.turningCompliance,
+        coverage_percent: metrics.coveragePercent,
+        offline_minutes: metrics.offlineMinutes,
+        longest_continuous_sleep_hours: parseFloat(metrics.longestContinuousSleepHours),
+      });
+    });
+  });
+  return records;
+};
@@ -0,0 +1,630 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { toDashboardRows } from './dataImport';
+import {
+  calculateLongestContinuousSleep,
+  computeDailyMetrics,
+  computeBedDailyMetrics,
+  groupRowsByNight,
+  mergeIntervals,
+  buildTimelineSegments,
+  computeCoverage,
+  DEFAULT_MIN_COVERAGE_PERCENT,
+  buildHourlyHeatmap,
+  computeFallRiskScores,
+  DEFAULT_FALL_RISK_CONFIG,
+  detectBaselineAnomalies,
+  describeDeviation,
+  detectTrends,
+  buildExitEpisodes,
+  summarizeExitEpisodes,
+  summarizeDays,
+  buildTextualSummary,
+  buildTrendData,
+  compareSummaries,
+  previousPeriod,
+  buildWardOverview,
+  buildWardAverageTrend,
+  buildDailyMetricsRecords,
+} from './analytics';
+import { DEFAULT_SENSOR_CODES, toCodeList, fromCodeList } from './sensorCodes';
+
+// Two beds, A with a broken first night and a quiet second one, B with one night.
+// Timestamps have no offset, so they are read in the zone passed here.
+const loadFixture = (name, timeZone = 'UTC') => {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return toDashboardRows(data, name, undefined, timeZone);
+};
+
+// Noon to noon, the dashboard default
+const options = { timeZone: 'UTC', nightStartHour: 12 };
+
+const range = (start, end) => ({ start: new Date(`${start}T00:00:00`), end: new Date(`${end}T00:00:00`) });
+
+describe('daily metrics', () => {
+  const rows = loadFixture('two-beds.csv');
+
+  test('computes per-bed, per-day metrics', () => {
+    expect(computeBedDailyMetrics(rows, options)).toEqual({
+      A: {
+        '2024-03-01': {
+          inBedMinutes: 159,
+          repositions: 2,
+          exits: 1,
+          restlessCounts: { 1: 10, 2: 15, 3: 10 },
+          doubleCountedMinutes: 0,
+          restlessMinutes: 25,
+          restlessPercent: '15.7',
+          longestContinuousSleepHours: '0.8',
+          // asleep 21:00-22:00, 22:10-23:00 (high restlessness before), 23:20-23:59 (back from the exit)
+          totalSleepMinutes: 149,
+          sleepOnsetLatencyMinutes: 0,
+          wasoMinutes: 30,
+          sleepEfficiency: 93.7,
+          awakenings: 2,
+          finalWakeTime: new Date('2024-03-01T23:59:00Z'),
+          finalWakeClockMinutes: 23 * 60 + 59,
+          longestRepositionGapMinutes: 90,
+          expectedTurns: 4,
+          missedTurns: 0,
+          turningCompliance: 100,
+          missedTurnWindows: [],
+          // no heartbeats, and the empty hours around the stay are the patient being away
+          coveragePercent: 100,
+          offlineMinutes: 0,
+          offlinePeriods: [],
+        },
+        '2024-03-02': {
+          inBedMinutes: 480,
+          repositions: 0,
+          exits: 0,
+          restlessCounts: { 1: 0, 2: 0, 3: 0 },
+          doubleCountedMinutes: 0,
+          restlessMinutes: 0,
+          restlessPercent: '0.0',
+          longestContinuousSleepHours: '8.0',
+          totalSleepMinutes: 480,
+          sleepOnsetLatencyMinutes: 0,
+          wasoMinutes: 0,
+          sleepEfficiency: 100,
+          awakenings: 0,
+          finalWakeTime: new Date('2024-03-03T06:00:00Z'),
+          finalWakeClockMinutes: 6 * 60,
+          longestRepositionGapMinutes: 480,
+          expectedTurns: 4,
+          missedTurns: 3,
+          turningCompliance: 25,
+          missedTurnWindows: [{ start: new Date('2024-03-03T00:00:00Z'), end: new Date('2024-03-03T06:00:00Z') }],
+          coveragePercent: 100,
+          offlineMinutes: 0,
+          offlinePeriods: [],
+        },
+      },
+      B: {
+        '2024-03-01': {
+          inBedMinutes: 360,
+          repositions: 0,
+          exits: 0,
+          restlessCounts: { 1: 0, 2: 0, 3: 0 },
+          doubleCountedMinutes: 0,
+          restlessMinutes: 0,
+          restlessPercent: '0.0',
+          longestContinuousSleepHours: '6.0',
+          totalSleepMinutes: 360,
+          sleepOnsetLatencyMinutes: 0,
+          wasoMinutes: 0,
+          sleepEfficiency: 100,
+          awakenings: 0,
+          finalWakeTime: new Date('2024-03-02T04:00:00Z'),
+          finalWakeClockMinutes: 4 * 60,
+          longestRepositionGapMinutes: 360,
+          expectedTurns: 3,
+          missedTurns: 2,
+          turningCompliance: 33.3,
+          missedTurnWindows: [{ start: new Date('2024-03-02T00:00:00Z'), end: new Date('2024-03-02T04:00:00Z') }],
+          coveragePercent: 100,
+          offlineMinutes: 0,
+          offlinePeriods: [],
+        },
+      },
+    });
+  });
+
+  test('pools all beds when no bed is given', () => {
+    const pooled = computeDailyMetrics(rows, options);
+    expect(pooled['2024-03-01'].inBedMinutes).toBe(159 + 360);
+    expect(pooled['2024-03-01'].repositions).toBe(2);
+  });
+
+  test('groups nights by the facility time zone', () => {
+    // 21:00 UTC is 06:00 the next morning in Tokyo, so every night moves a day later
+    const tokyo = computeDailyMetrics(rows, { bed: 'A', timeZone: 'Asia/Tokyo', nightStartHour: 0 });
+    expect(Object.keys(tokyo).sort()).toEqual(['2024-03-02', '2024-03-03']);
+    expect(tokyo['2024-03-02'].inBedMinutes).toBe(159);
+  });
+
+  test('splits events at the night boundary', () => {
+    // Calendar days: B's 22:00-04:00 stay is cut at midnight
+    const calendarDays = computeDailyMetrics(rows, { bed: 'B', timeZone: 'UTC', nightStartHour: 0 });
+    expect(calendarDays['2024-03-01'].inBedMinutes).toBe(120);
+    expect(calendarDays['2024-03-02'].inBedMinutes).toBe(240);
+
+    // 18:00-18:00: a row running 17:00-19:00 is split into two one-hour pieces
+    const row = { ...rows[0], start: new Date('2024-03-05T17:00:00Z'), end: new Date('2024-03-05T19:00:00Z') };
+    const groups = groupRowsByNight([row], { timeZone: 'UTC', nightStartHour: 18 });
+    expect(Object.keys(groups).sort()).toEqual(['2024-03-04', '2024-03-05']);
+    expect(groups['2024-03-04'][0].end.toISOString()).toBe('2024-03-05T18:00:00.000Z');
+    expect(groups['2024-03-05'][0].start.toISOString()).toBe('2024-03-05T18:00:00.000Z');
+    expect(groups['2024-03-05'][0].bed_name).toBe('A');
+  });
+
+  test('night boundaries follow the wall clock across DST', () => {
+    // Berlin springs forward on 2024-03-31, so that noon-to-noon night is 23 hours long
+    const row = { ...rows[0], start: new Date('2024-03-30T11:00:00Z'), end: new Date('2024-04-01T11:00:00Z') };
+    const groups = groupRowsByNight([row], { timeZone: 'Europe/Berlin', nightStartHour: 12 });
+    const hours = (key) => (groups[key][0].end - groups[key][0].start) / 3600000;
+    expect(Object.keys(groups).sort()).toEqual(['2024-03-30', '2024-03-31', '2024-04-01']);
+    expect(hours('2024-03-30')).toBe(23);
+    expect(hours('2024-03-31')).toBe(24);
+    expect(hours('2024-04-01')).toBe(1); // 12:00 to 13:00 CEST, where the row ends
+  });
+
+  test('longest continuous sleep does not reorder its input', () => {
+    const dayRows = rows.filter(r => r.bed_name === 'A').reverse();
+    const before = dayRows.map(r => r.start.getTime());
+    calculateLongestContinuousSleep(dayRows);
+    expect(dayRows.map(r => r.start.getTime())).toEqual(before);
+  });
+});
+
+describe('interval model', () => {
+  const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+  const row = (type, value, start, end, bed_name = 'A') => ({ bed_name, type, value: String(value), start: at(start), end: at(end) });
+
+  test('merges overlapping and touching intervals', () => {
+    const merged = mergeIntervals([row('x', 1, '22:00', '23:00'), row('x', 1, '21:00', '22:30'), row('x', 1, '23:00', '23:10')]);
+    expect(merged).toEqual([{ start: +at('21:00'), end: +at('23:10') }]);
+  });
+
+  test('counts overlapping in-bed rows once and reports what was removed', () => {
+    const rows = [
+      row('patient_detection', 1, '21:00', '23:00'),
+      row('patient_detection', 2, '22:00', '23:30'), // 60 min overlap
+      row('restlessness', 2, '21:30', '22:00'),
+      row('restlessness', 3, '21:45', '22:15'), // high wins the 15 min it shares with medium
+    ];
+    const night = computeDailyMetrics(rows, options)['2024-03-01'];
+    expect(night.inBedMinutes).toBe(150);
+    expect(night.restlessCounts).toEqual({ 1: 0, 2: 15, 3: 30 });
+    expect(night.doubleCountedMinutes).toBe(60 + 15);
+  });
+
+  test('keeps beds apart when pooling', () => {
+    const rows = [row('patient_detection', 1, '21:00', '23:00', 'A'), row('patient_detection', 1, '21:00', '23:00', 'B')];
+    const night = computeDailyMetrics(rows, options)['2024-03-01'];
+    expect(night.inBedMinutes).toBe(240);
+    expect(night.doubleCountedMinutes).toBe(0);
+  });
+
+  test('timeline segments cover the window once, stronger states on top', () => {
+    const segments = buildTimelineSegments([
+      row('patient_detection', 1, '21:00', '23:00'),
+      row('patient_detection', 1, '21:30', '22:30'),
+      row('restlessness', 3, '22:00', '22:10'),
+      row('patient_detection', 0, '22:50', '23:20'),
+    ], at('20:00'), at('23:59'));
+    expect(segments.map(seg => [seg.type, seg.duration])).toEqual([
+      ['gap', 60], ['resting', 60], ['high', 10], ['resting', 50], ['out_of_bed', 20], ['gap', 39],
+    ]);
+  });
+
+  test('only gaps of the offline length count as sensor offline', () => {
+    const segments = buildTimelineSegments([
+      row('patient_detection', 1, '21:00', '22:00'),
+      row('patient_detection', 1, '22:10', '23:00'),
+      row('heartbeat', 1, '23:10', '23:10'), // a point in time still shows the sensor is alive
+    ], at('20:30'), at('23:20'));
+    expect(segments.map(seg => [seg.type, seg.duration])).toEqual([
+      ['offline', 30], ['resting', 60], ['gap', 10], ['resting', 50], ['gap', 20],
+    ]);
+  });
+
+  test('without heartbeats only a gap spent in bed counts as sensor offline', () => {
+    const coverage = computeCoverage([
+      row('patient_detection', 1, '20:00', '21:00'),
+      row('patient_detection', 1, '21:30', '22:00'), // back in bed with no exit logged: the sensor was down
+      row('patient_detection', 0, '22:00', '22:10'),
+      row('patient_detection', 1, '23:00', '23:20'), // away after the exit, not offline
+    ], at('18:00'), at('24:00'));
+    expect(coverage).toEqual({
+      coveragePercent: 91.7,
+      offlineMinutes: 30,
+      offlinePeriods: [{ start: at('21:00'), end: at('21:30') }],
+    });
+  });
+});
+
+describe('hourly heatmap', () => {
+  const row = (type, value, start, end) => ({ bed_name: 'A', type, value: String(value), start: new Date(start), end: new Date(end) });
+  const rows = [
+    row('patient_detection', 1, '2024-03-01T22:30:00Z', '2024-03-02T00:15:00Z'),
+    row('restlessness', 3, '2024-03-02T02:10:00Z', '2024-03-02T02:40:00Z'),
+    row('reposition', 1, '2024-03-01T23:05:00Z', '2024-03-01T23:06:00Z'),
+    row('reposition', 1, '2024-03-01T23:50:00Z', '2024-03-01T23:51:00Z'),
+  ];
+
+  test('splits a state into the clock hours of each night', () => {
+    const heatmap = buildHourlyHeatmap(rows, ['2024-03-01', '2024-03-02'], { ...options, state: 'in_bed' });
+    expect(heatmap.hours.slice(0, 3)).toEqual([12, 13, 14]);
+    // columns 10-12 are 22:00, 23:00 and 00:00
+    expect(heatmap.nights[0].values.slice(10, 13)).toEqual([30, 60, 15]);
+    expect(heatmap.nights[0].values.reduce((a, b) => a + b, 0)).toBe(105);
+    expect(heatmap.nights[1]).toMatchObject({ key: '2024-03-02', hasData: false });
+    expect(heatmap.max).toBe(60);
+
+    expect(buildHourlyHeatmap(rows, ['2024-03-01'], { ...options, state: 'restless_high' }).nights[0].values[14]).toBe(30);
+    expect(buildHourlyHeatmap(rows, ['2024-03-01'], { ...options, state: 'reposition' }).nights[0].values[11]).toBe(2);
+  });
+
+  test('follows the wall clock across a DST change', () => {
+    // Berlin springs forward at 02:00 on Mar 31: 01:00-04:00 local is 00:00-02:00 UTC
+    const dst = [row('patient_detection', 1, '2024-03-31T00:00:00Z', '2024-03-31T02:00:00Z')];
+    const { nights } = buildHourlyHeatmap(dst, ['2024-03-30'], { timeZone: 'Europe/Berlin', nightStartHour: 12, state: 'in_bed' });
+    expect(nights[0].values.slice(13, 16)).toEqual([60, 0, 60]);
+  });
+});
+
+describe('sensor codes', () => {
+  const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+  const row = (type, value, start, end) => ({ bed_name: 'A', type, value: String(value), start: at(start), end: at(end) });
+  // A newer sensor: presence 5 = in bed, 9 = out of bed, and a "motion" type for restlessness
+  const codes = {
+    ...DEFAULT_SENSOR_CODES,
+    patient_detection: { ...DEFAULT_SENSOR_CODES.patient_detection, 5: 'in_bed', 9: 'out_of_bed' },
+    motion: { high: 'restless_high' },
+  };
+  const rows = [
+    row('patient_detection', 5, '21:00', '22:00'),
+    row('motion', 'high', '21:30', '21:40'),
+    row('patient_detection', 9, '22:00', '22:30'),
+    row('patient_detection', 5, '22:30', '23:00'),
+  ];
+
+  test('calculations read the states from the dictionary', () => {
+    const night = computeDailyMetrics(rows, { ...options, sensorCodes: codes })['2024-03-01'];
+    expect(night).toMatchObject({ inBedMinutes: 90, exits: 1, restlessCounts: { 1: 0, 2: 0, 3: 10 }, longestContinuousSleepHours: '0.5' });
+    expect(buildExitEpisodes(rows, { ...options, sensorCodes: codes }).map(e => e.durationMinutes)).toEqual([30]);
+    const segments = buildTimelineSegments(rows, at('21:00'), at('23:00'), codes);
+    expect(segments.map(seg => [seg.type, seg.duration])).toEqual([
+      ['resting', 30], ['high', 10], ['resting', 20], ['out_of_bed', 30], ['resting', 30],
+    ]);
+  });
+
+  test('codes missing from the dictionary are ignored', () => {
+    const night = computeDailyMetrics(rows, options)['2024-03-01'];
+    expect(night).toMatchObject({ inBedMinutes: 0, exits: 0, restlessCounts: { 1: 0, 2: 0, 3: 0 } });
+  });
+
+  test('the editor list round-trips and drops incomplete lines', () => {
+    const list = [...toCodeList(codes), { type: 'motion', value: ' ', state: 'restless_low' }, { type: 'x', value: '1', state: 'nonsense' }];
+    expect(fromCodeList(list)).toEqual(codes);
+  });
+});
+
+describe('sleep measures', () => {
+  const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+  const row = (type, value, start, end) => ({ bed_name: 'A', type, value: String(value), start: at(start), end: at(end) });
+
+  test('latency runs until the first sleep stretch long enough to count', () => {
+    const night = computeDailyMetrics([
+      row('patient_detection', 1, '21:00', '23:00'),
+      row('restlessness', 3, '21:00', '21:20'),
+      row('restlessness', 3, '21:25', '21:40'), // 5 min calm in between is too short for onset
+      row('restlessness', 3, '22:00', '22:01'), // 1 min: WASO, but not an awakening
+      row('restlessness', 3, '22:30', '22:40'),
+    ], options)['2024-03-01'];
+    expect(night).toMatchObject({
+      sleepOnsetLatencyMinutes: 40,
+      totalSleepMinutes: 120 - 20 - 15 - 1 - 10 - 5,
+      wasoMinutes: 11,
+      awakenings: 1,
+      sleepEfficiency: 57.5,
+    });
+  });
+
+  test('nights without a sleep stretch have no onset', () => {
+    const night = computeDailyMetrics([row('patient_detection', 1, '21:00', '21:05')], options)['2024-03-01'];
+    expect(night).toMatchObject({ totalSleepMinutes: 0, sleepOnsetLatencyMinutes: null, finalWakeTime: null, sleepEfficiency: 0 });
+  });
+
+  test('are left out when beds are pooled', () => {
+    const rows = [row('patient_detection', 1, '21:00', '23:00'), { ...row('patient_detection', 1, '21:00', '23:00'), bed_name: 'B' }];
+    expect(computeDailyMetrics(rows, options)['2024-03-01'].totalSleepMinutes).toBeNull();
+  });
+});
+
+describe('repositioning compliance', () => {
+  test('counts gaps between turns while in bed against the turning interval', () => {
+    const a = computeDailyMetrics(loadFixture('two-beds.csv'), { ...options, bed: 'A' });
+    // Turns at 22:30 and 23:40, the 20 min exit restarts the clock: no gap over 2 h
+    expect(a['2024-03-01']).toMatchObject({ longestRepositionGapMinutes: 90, expectedTurns: 4, missedTurns: 0, turningCompliance: 100 });
+    // 8 h in bed without a turn: 4 intervals, 3 of them missed, overdue from midnight on
+    expect(a['2024-03-02']).toMatchObject({ longestRepositionGapMinutes: 480, expectedTurns: 4, missedTurns: 3, turningCompliance: 25 });
+    expect(a['2024-03-02'].missedTurnWindows).toEqual([
+      { start: new Date('2024-03-03T00:00:00Z'), end: new Date('2024-03-03T06:00:00Z') },
+    ]);
+  });
+
+  test('follows the configured interval and leaves pooled beds out', () => {
+    const rows = loadFixture('two-beds.csv');
+    expect(computeDailyMetrics(rows, { ...options, bed: 'A', turningIntervalMinutes: 60 })['2024-03-01'])
+      .toMatchObject({ expectedTurns: 5, missedTurns: 1, turningCompliance: 80 });
+    expect(computeDailyMetrics(rows, options)['2024-03-01'].turningCompliance).toBeNull();
+  });
+});
+
+describe('fall risk', () => {
+  const night = (exits, restlessPercent, longestContinuousSleepHours) => ({
+    inBedMinutes: 480, exits, restlessPercent: String(restlessPercent), longestContinuousSleepHours: String(longestContinuousSleepHours),
+  });
+  const quietWeek = {
+    '2024-03-01': night(0, 5, 6),
+    '2024-03-02': night(0, 5, 6),
+    '2024-03-03': night(0, 5, 6),
+  };
+
+  test('breaks the score down into weighted factors', () => {
+    const scores = computeFallRiskScores({ ...quietWeek, '2024-03-04': night(3, 20, 2) });
+    const { score, factors } = scores['2024-03-04'];
+    // weights 3/2/2/3 of 10: exits full (3), restlessness half (1), sleep half (1), baseline full on exits (3)
+    expect(factors.map(f => [f.key, f.points])).toEqual([
+      ['exits', 3], ['highRestlessness', 1], ['shortSleep', 1], ['baselineChange', 3],
+    ]);
+    expect(score).toBe(8);
+    expect(factors[3].detail).toMatch(/3-night baseline: 0\.0 exits/);
+  });
+
+  test('needs a few earlier nights before comparing with the baseline', () => {
+    const scores = computeFallRiskScores(quietWeek);
+    expect(scores['2024-03-01'].factors[3]).toMatchObject({ points: 0, detail: 'not enough history (0 of 3 nights)' });
+    expect(scores['2024-03-01'].score).toBe(0.3); // only the 5% restlessness
+  });
+
+  test('uses the configured weights', () => {
+    const config = { ...DEFAULT_FALL_RISK_CONFIG, weights: { exits: 1, highRestlessness: 0, shortSleep: 0, baselineChange: 0 } };
+    expect(computeFallRiskScores({ '2024-03-01': night(3, 90, 0) }, config)['2024-03-01'].score).toBe(10);
+  });
+});
+
+describe('personal baseline', () => {
+  const night = (inBedHours, exits, repositions = 10) => ({
+    inBedMinutes: inBedHours * 60, exits, repositions, restlessPercent: '5.0', longestContinuousSleepHours: '5.0',
+    sleepEfficiency: null, wasoMinutes: null,
+  });
+  // Two steady weeks: 7-8 h in bed, no exits
+  const steady = Object.fromEntries(Array.from({ length: 14 }, (_, i) => (
+    [`2024-03-${String(i + 1).padStart(2, '0')}`, night(i % 2 ? 8 : 7, 0)]
+  )));
+
+  test('flags only the metrics that leave the bed\'s own range', () => {
+    const anomalies = detectBaselineAnomalies({ ...steady, '2024-03-15': night(7.5, 3) });
+    expect(Object.keys(anomalies)).toEqual(['2024-03-15']);
+    // exits sd is 0, so the 0.5 floor applies: (3 - 0) / 0.5
+    expect(anomalies['2024-03-15']).toEqual([
+      { metric: 'exits', label: 'Exits', unit: '', value: 3, mean: 0, sd: 0.5, z: 6 },
+    ]);
+    expect(describeDeviation(anomalies['2024-03-15'][0])).toBe('Exits 3 (baseline 0.0 ± 0.5, +6 SD)');
+  });
+
+  test('flags drops as well as rises, and skips metrics without data', () => {
+    const anomalies = detectBaselineAnomalies({ ...steady, '2024-03-15': night(3, 0) });
+    expect(anomalies['2024-03-15'].map(d => [d.metric, d.z])).toEqual([['inBedHours', -9]]);
+  });
+
+  test('waits for enough history and honours the options', () => {
+    expect(detectBaselineAnomalies({ '2024-03-01': night(7, 0), '2024-03-02': night(7, 5) })).toEqual({});
+    const wide = detectBaselineAnomalies({ ...steady, '2024-03-15': night(7.5, 3) }, { threshold: 10 });
+    expect(wide).toEqual({});
+  });
+});
+
+describe('trend tests', () => {
+  const night = (restlessPercent, inBedHours = 7) => ({
+    inBedMinutes: inBedHours * 60, exits: 0, repositions: 10, restlessCounts: {}, restlessPercent: restlessPercent.toFixed(1),
+    longestContinuousSleepHours: '5.0', sleepEfficiency: null, wasoMinutes: null,
+  });
+  const nights = (values) => Object.fromEntries(values.map((v, i) => [`2024-03-${String(i + 1).padStart(2, '0')}`, night(v)]));
+  const march = range('2024-03-01', '2024-03-31');
+  // A week around 2 % restless, then a week around 10 %
+  const stepUp = nights([2, 3, 1, 2, 2.5, 1.5, 2, 10, 9, 11, 10, 9.5, 10.5, 12]);
+
+  test('finds a shift in level and reports it in the summary', () => {
+    const restless = detectTrends(stepUp, march).find(t => t.metric === 'restlessPercent');
+    expect(restless.nights).toBe(14);
+    expect(restless.changePoint).toMatchObject({ key: '2024-03-07', nextKey: '2024-03-08', direction: 'up', significant: true });
+    expect(restless.changePoint.meanBefore).toBeCloseTo(2);
+    expect(restless.changePoint.meanAfter).toBeCloseTo(10.29, 2);
+    expect(restless.trend).toMatchObject({ direction: 'up', significant: true });
+
+    const text = buildTextualSummary(stepUp, march, summarizeDays(stepUp, march));
+    expect(text).toContain('Restless % rose significantly after Mar 7 (2.0% → 10.3%).');
+    // Constant metrics have neither a trend nor a change point
+    const steady = detectTrends(stepUp, march).find(t => t.metric === 'inBedHours');
+    expect(steady.trend.significant).toBe(false);
+    expect(steady.changePoint).toBeNull();
+  });
+
+  test('stays quiet on noise and on short ranges', () => {
+    const noise = detectTrends(nights([5, 7, 4, 6, 5, 8, 4, 6, 7, 5, 6, 4, 7, 5]), march).find(t => t.metric === 'restlessPercent');
+    expect(noise.trend.significant).toBe(false);
+    expect(noise.changePoint.significant).toBe(false);
+    expect(detectTrends(nights([1, 2, 3, 10, 11, 12, 13]), march)).toEqual([]);
+  });
+
+  test('marks significant change points on the trend series', () => {
+    const trends = detectTrends(stepUp, march);
+    const data = buildTrendData(stepUp, range('2024-03-01', '2024-03-14'), {}, trends);
+    expect(data.changePoints).toEqual(expect.arrayContaining([
+      { metric: 'restlessPercent', label: 'Restless %', direction: 'up', index: 6, nextIndex: 7 },
+    ]));
+    expect(buildTrendData(stepUp, range('2024-03-01', '2024-03-14')).changePoints).toEqual([]);
+  });
+});
+
+describe('bed-exit episodes', () => {
+  test('turns each exit into an episode that ends when the patient is back', () => {
+    const episodes = buildExitEpisodes(loadFixture('two-beds.csv'), options);
+    expect(episodes).toEqual([{
+      bed: 'A',
+      start: new Date('2024-03-01T23:00:00Z'),
+      end: new Date('2024-03-01T23:20:00Z'),
+      durationMinutes: 20,
+      returned: true,
+      nightKey: '2024-03-01',
+      clockHour: 23,
+      nightTime: true,
+    }]);
+  });
+
+  test('runs an open absence to the end of the data', () => {
+    const rows = [
+      ...loadFixture('two-beds.csv'),
+      { start: new Date('2024-03-03T06:00:00Z'), end: new Date('2024-03-03T06:45:00Z'), bed_name: 'A', type: 'patient_detection', value: '0' },
+    ];
+    const last = buildExitEpisodes(rows, options).pop();
+    expect(last).toMatchObject({ bed: 'A', durationMinutes: 45, returned: false, nightKey: '2024-03-02', clockHour: 6, nightTime: false });
+
+    const stats = summarizeExitEpisodes(buildExitEpisodes(rows, options));
+    expect(stats).toMatchObject({ count: 2, nightTimeCount: 1, notReturnedCount: 1, medianMinutes: 20 });
+    expect(stats.byClockHour[23]).toBe(1);
+    expect(stats.durationCounts).toEqual([0, 0, 1, 1, 0, 0]);
+    expect(stats.longAbsences.map(e => e.durationMinutes)).toEqual([45]);
+  });
+
+  test('handles a large export for one bed', () => {
+    // One in-bed minute per row, then an exit that is still open at the end of the data
+    const base = Date.parse('2024-03-01T00:00:00Z');
+    const rows = Array.from({ length: 200000 }, (_, i) => ({
+      start: new Date(base + i * 60000), end: new Date(base + (i + 1) * 60000),
+      bed_name: 'A', type: 'patient_detection', value: i === 199999 ? '0' : '1',
+    }));
+    const episodes = buildExitEpisodes(rows, options);
+    expect(episodes).toHaveLength(1);
+    expect(episodes[0]).toMatchObject({ durationMinutes: 1, returned: false });
+  });
+});
+
+describe('range summaries', () => {
+  const rows = loadFixture('two-beds.csv');
+  const bedA = computeDailyMetrics(rows, { ...options, bed: 'A' });
+
+  test('averages the nights in the range', () => {
+    expect(summarizeDays(bedA, range('2024-03-01', '2024-03-07'))).toEqual({
+      avgHours: '5.3', // (159 + 480) / 2 / 60
+      avgRepositions: '1.0',
+      avgExits: '0.5',
+      avgRestlessPercent: '7.8',
+      medianLongestSleep: '4.4',
+      avgSleepEfficiency: '96.8',
+      avgSleepOnsetLatency: '0.0',
+      avgWaso: '15.0',
+      avgAwakenings: '1.0',
+      medianFinalWake: '06:00', // of 06:00 and 23:59 by the clock
+      avgTurningCompliance: '62.5',
+      totalMissedTurns: 3,
+      excludedLowCoverage: 0,
+      days: 2,
+    });
+    expect(summarizeDays(bedA, range('2024-04-01', '2024-04-07'))).toBeNull();
+  });
+
+  test('keeps nights without heartbeats in the averages by default', () => {
+    const dateRange = range('2024-03-01', '2024-03-07');
+    expect(summarizeDays(bedA, dateRange, { minCoveragePercent: DEFAULT_MIN_COVERAGE_PERCENT })).toMatchObject({ days: 2, excludedLowCoverage: 0 });
+  });
+
+  test('leaves low-coverage nights out of the averages when asked', () => {
+    const dateRange = range('2024-03-01', '2024-03-07');
+    // One heartbeat says bed A reports while alive, so the empty hours are offline:
+    // coverage is 12.4% on Mar 1 and 33.3% on Mar 2
+    const heartbeat = { ...rows[0], type: 'heartbeat', value: '1', end: rows[0].start };
+    const withHeartbeats = computeDailyMetrics([...rows, heartbeat], { ...options, bed: 'A' });
+    expect(withHeartbeats['2024-03-01'].coveragePercent).toBe(12.4);
+    expect(summarizeDays(withHeartbeats, dateRange, { minCoveragePercent: 30 })).toMatchObject({ avgHours: '8.0', days: 1, excludedLowCoverage: 1 });
+    expect(summarizeDays(withHeartbeats, dateRange, { minCoveragePercent: 50 })).toBeNull();
+    const summary = summarizeDays(withHeartbeats, dateRange, { minCoveragePercent: 30 });
+    expect(buildTextualSummary(withHeartbeats, dateRange, summary)).toContain('1 night(s) with low sensor coverage were left out of the averages.');
+  });
+
+  test('describes the range in words', () => {
+    const dateRange = range('2024-03-01', '2024-03-02');
+    const text = buildTextualSummary(bedA, dateRange, summarizeDays(bedA, dateRange));
+    expect(text).toMatch(/^Over 2 days analysed \(Mar 1 to Mar 2\)/);
+    expect(text).toContain('Longest time in bed: 8.0h on Mar 2.');
+    expect(text).toContain('Bed exits occurred on 1 day(s).');
+    expect(text).toContain('1 night(s) had less than 3 hours of continuous sleep.');
+    expect(text).toContain('Repositioning compliance against the turning schedule averaged 62.5% (3 missed turn(s)).');
+  });
+
+  test('names the highest fall-risk night when scores are given', () => {
+    const dateRange = range('2024-03-01', '2024-03-02');
+    const summary = summarizeDays(bedA, dateRange);
+    const text = (scores) => buildTextualSummary(bedA, dateRange, summary, [], {
+      '2024-03-01': { score: scores[0], factors: [] }, '2024-03-02': { score: scores[1], factors: [] },
+    });
+    // bands: 7 and up is high, 4 and up medium
+    expect(text([3.9, 7])).toContain('Highest fall risk score: 7/10 (high) on Mar 2.');
+    expect(text([4, 6.9])).toContain('Highest fall risk score: 6.9/10 (medium) on Mar 2.');
+    expect(text([3.9, 1.2])).toContain('Highest fall risk score: 3.9/10 (low) on Mar 1.');
+    expect(buildTextualSummary(bedA, dateRange, summary)).not.toContain('fall risk');
+  });
+
+
+  test('trend series have one point per calendar day', () => {
+    const trend = buildTrendData(bedA, range('2024-03-01', '2024-03-03'));
+    expect(trend.labels).toEqual(['Mar 1', 'Mar 2', 'Mar 3']);
+    expect(trend.exits).toEqual([1, 0, 0]);
+    expect(trend.hours).toEqual([159 / 60, 8, 0]);
+    expect(buildTrendData(bedA, range('2024-03-01', '2024-03-01'))).toBeNull();
+  });
+
+  test('compares two ranges KPI by KPI', () => {
+    const rows = compareSummaries(
+      summarizeDays(bedA, range('2024-03-02', '2024-03-02')),
+      summarizeDays(bedA, range('2024-03-01', '2024-03-01'))
+    );
+    const byKey = Object.fromEntries(rows.map(r => [r.key, r]));
+    expect(byKey.avgHours).toMatchObject({ current: '8.0', previous: '2.6', delta: 5.4, deltaPercent: 207.7 });
+    expect(byKey.avgExits).toMatchObject({ delta: -1, deltaPercent: -100 });
+    // 06:00 vs 23:59 is 6h01 later round the clock, not 17h59 earlier
+    expect(byKey.medianFinalWake).toMatchObject({ clock: true, delta: 361, deltaPercent: null });
+    // A range without data gives no deltas
+    expect(compareSummaries(null, summarizeDays(bedA, range('2024-03-01', '2024-03-01')))[0]).toMatchObject({ current: null, delta: null });
+    expect(previousPeriod(range('2024-03-08', '2024-03-14'))).toEqual(range('2024-03-01', '2024-03-07'));
+  });
+
+  test('ward overview shows each bed\'s latest night and a strip of the range', () => {
+    const ward = buildWardOverview(computeBedDailyMetrics(rows, options), range('2024-03-01', '2024-03-03'));
+    expect(ward.map(b => [b.bed, b.lastNightKey])).toEqual([['A', '2024-03-02'], ['B', '2024-03-01']]);
+    expect(ward[0].lastNight).toEqual({ hours: 8, exits: 0, restlessPercent: parseFloat(bedA['2024-03-02'].restlessPercent), longestSleep: parseFloat(bedA['2024-03-02'].longestContinuousSleepHours) });
+    expect(ward[0].strip.map(cell => cell.hours)).toEqual([2.6, 8, null]); // 159 min
+    expect(buildWardOverview(computeBedDailyMetrics(rows, options), range('2024-04-01', '2024-04-02'))[0].lastNight).toBeNull();
+  });
+
+  test('ward average only counts the beds with data each night', () => {
+    const average = buildWardAverageTrend(computeBedDailyMetrics(rows, options), range('2024-03-01', '2024-03-03'));
+    const bedB = computeBedDailyMetrics(rows, options).B['2024-03-01'];
+    expect(average.beds).toEqual([2, 1, 0]);
+    expect(average.hours[0]).toBeCloseTo((159 + bedB.inBedMinutes) / 2 / 60, 2);
+    expect(average.hours.slice(1)).toEqual([8, null]);
+    expect(average.exits[1]).toBe(0);
+  });
+
+  test('export records list each bed and night with data', () => {
+    const records = buildDailyMetricsRecords(rows, ['A', 'B'], range('2024-03-01', '2024-03-02'), options);
+    expect(records.map(r => `${r.bed_name} ${r.date}`)).toEqual(['A 2024-03-01', 'A 2024-03-02', 'B 2024-03-01']);
+    expect(records[0]).toMatchObject({ in_bed_hours: 2.65, restless_percent: 15.7, longest_continuous_sleep_hours: 0.8 });
+  });
+});
@@ -0,0 +1,5 @@
+// Lives in its own module because `import.meta` only exists in the webpack build.
+// The dashboard loads it lazily, and only where Worker is available (not in jsdom).
+const createImportWorker = () => new Worker(new URL('./dataImport.worker.js', import.meta.url));
+
+export default createImportWorker;
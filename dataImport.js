@@ -0,0 +1,472 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Data import: CSV/JSON/NDJSON parsing, column mapping, validation and multi-file
+// merge. Shared by the dashboard and by dataImport.worker.js, so nothing in here
+// may touch the DOM.
+// ─────────────────────────────────────────────────────────────────────────────
+import Papa from "papaparse";
+import { parseISO, parse, isBefore } from "date-fns";
+import { tz } from "@date-fns/tz";
+import { getBrowserTimeZone, hasExplicitOffset } from "./timeZone";
+import { DEFAULT_SENSOR_CODES } from "./sensorCodes";
+
+// ───────── Column mapping ─────────
+// Maps the fields the dashboard needs to the column names of a given export.
+// Start/end can be one date-time column, or a date column plus a separate time column.
+// `dateFormat` is an optional date-fns pattern (e.g. "dd/MM/yyyy HH:mm"); empty means ISO.
+export const DEFAULT_COLUMN_MAPPING = {
+  start_at: 'start_at',
+  start_time: '',
+  end_at: 'end_at',
+  end_time: '',
+  bed_name: 'bed_name',
+  type: 'type',
+  value: 'value',
+  dateFormat: '',
+};
+
+export const MAPPING_FIELDS = [
+  { key: 'start_at', label: 'Start (date or date-time)', required: true, aliases: ['start', 'start_datetime', 'start_date', 'begin', 'from'] },
+  { key: 'start_time', label: 'Start time (if separate)', required: false, aliases: ['time_start', 'start_clock'] },
+  { key: 'end_at', label: 'End (date or date-time)', required: true, aliases: ['end', 'end_datetime', 'end_date', 'stop', 'to'] },
+  { key: 'end_time', label: 'End time (if separate)', required: false, aliases: ['time_end', 'end_clock'] },
+  { key: 'bed_name', label: 'Bed name', required: true, aliases: ['bed', 'bed_id', 'bedname', 'device', 'device_name'] },
+  { key: 'type', label: 'Event type', required: true, aliases: ['event_type', 'event', 'sensor_type', 'kind'] },
+  { key: 'value', label: 'Value', required: true, aliases: ['val', 'state', 'level', 'event_value'] },
+];
+
+// Does every column the mapping refers to exist in these headers?
+export const mappingFitsHeaders = (mapping, headers) => MAPPING_FIELDS.every(({ key, required }) =>
+  mapping[key] ? headers.includes(mapping[key]) : !required
+);
+
+// Best-effort mapping for unknown headers: exact names first, then common aliases
+export const guessColumnMapping = (headers) => {
+  const lowerHeaders = headers.map(h => h.trim().toLowerCase());
+  const mapping = { ...DEFAULT_COLUMN_MAPPING };
+  MAPPING_FIELDS.forEach(({ key, aliases }) => {
+    const index = [key, ...aliases].map(name => lowerHeaders.indexOf(name)).find(i => i !== -1);
+    mapping[key] = index !== undefined ? headers[index] : '';
+  });
+  return mapping;
+};
+
+const mappedDateText = (row, dateColumn, timeColumn, dateFormat) => {
+  const datePart = String(row[dateColumn] ?? '').trim();
+  const timePart = timeColumn ? String(row[timeColumn] ?? '').trim() : '';
+  if (!timePart) return datePart;
+  return dateFormat ? `${datePart} ${timePart}` : `${datePart}T${timePart}`;
+};
+
+// Timestamps without an offset are wall time in the facility zone
+const parseMappedDate = (text, dateFormat, timeZone) => {
+  const parsed = dateFormat
+    ? parse(text, dateFormat, new Date(), { in: tz(timeZone) })
+    : parseISO(text, { in: tz(timeZone) });
+  return new Date(parsed.getTime()); // plain Date, same as rows coming back from the worker
+};
+
+// Does this mapping produce wall-clock times (no offset in the data)?
+const isNaiveTime = (text, dateFormat) => (dateFormat ? !/[xXO]/.test(dateFormat) : !hasExplicitOffset(text));
+
+// Turn a raw CSV record into a dashboard row, tagged with the file it came from.
+// `naive_time` marks rows whose timestamps had no offset and were read in `timeZone`.
+// Only the mapped fields are kept: other source columns would be carried through the
+// worker, the dataset and IndexedDB for every row of a large export.
+export const toDashboardRow = (record, fileName, mapping = DEFAULT_COLUMN_MAPPING, timeZone = getBrowserTimeZone()) => {
+  const startText = mappedDateText(record, mapping.start_at, mapping.start_time, mapping.dateFormat);
+  const endText = mappedDateText(record, mapping.end_at, mapping.end_time, mapping.dateFormat);
+  return {
+    bed_name: record[mapping.bed_name],
+    type: record[mapping.type],
+    value: record[mapping.value],
+    start: parseMappedDate(startText, mapping.dateFormat, timeZone),
+    end: parseMappedDate(endText, mapping.dateFormat, timeZone),
+    naive_time: isNaiveTime(startText, mapping.dateFormat),
+    source_file: fileName,
+  };
+};
+
+// ───────── Import validation ─────────
+// Types and values are checked against the sensor code dictionary (sensorCodes.js)
+
+// Rejected rows are dropped, suspicious rows are kept but reported
+export const VALIDATION_REASONS = {
+  bad_date: { label: 'Bad date', severity: 'rejected' },
+  end_before_start: { label: 'End before start', severity: 'rejected' },
+  missing_bed: { label: 'Missing bed_name', severity: 'rejected' },
+  unknown_type: { label: 'Unknown type', severity: 'suspicious' },
+  unexpected_value: { label: 'Unexpected value', severity: 'suspicious' },
+};
+
+const isValidDate = (d) => d instanceof Date && !isNaN(d);
+
+const getRowIssues = (row, sensorCodes) => {
+  const issues = [];
+  if (!isValidDate(row.start) || !isValidDate(row.end)) issues.push('bad_date');
+  else if (isBefore(row.end, row.start)) issues.push('end_before_start');
+  if (!String(row.bed_name ?? '').trim()) issues.push('missing_bed');
+  const knownValues = sensorCodes[row.type];
+  if (!knownValues) issues.push('unknown_type');
+  else if (!knownValues[String(row.value).trim()]) issues.push('unexpected_value');
+  return issues;
+};
+
+// Map and check every record of a file.
+// Returns the accepted rows (suspicious ones included), the rejected records with
+// their reasons, and a count per reason.
+export const validateRecords = (
+  records, fileName, mapping = DEFAULT_COLUMN_MAPPING, timeZone = getBrowserTimeZone(), sensorCodes = DEFAULT_SENSOR_CODES
+) => {
+  const accepted = [];
+  const rejected = [];
+  const reasonCounts = {};
+  let suspicious = 0;
+
+  records.forEach((record) => {
+    const row = toDashboardRow(record, fileName, mapping, timeZone);
+    const issues = getRowIssues(row, sensorCodes);
+    issues.forEach(issue => { reasonCounts[issue] = (reasonCounts[issue] || 0) + 1; });
+
+    if (issues.some(issue => VALIDATION_REASONS[issue].severity === 'rejected')) {
+      rejected.push({ record, fileName, reasons: issues });
+      return;
+    }
+    if (issues.length) suspicious++;
+    accepted.push(row);
+  });
+
+  return { accepted, rejected, suspicious, reasonCounts };
+};
+
+export const toDashboardRows = (records, fileName, mapping, timeZone, sensorCodes) => (
+  validateRecords(records, fileName, mapping, timeZone, sensorCodes).accepted
+);
+
+// ───────── Multi-file merge ─────────
+const rowKey = (row) => `${row.bed_name}|${row.type}|${row.value}|${row.start.getTime()}|${row.end.getTime()}`;
+
+// Append incoming rows to the existing dataset.
+// - Exact duplicates (same bed, type, value, start and end) are dropped.
+// - Overlapping rows (same bed, type and value, fully covered by a row we already
+//   have) are dropped too; weekly exports tend to repeat the events around their edges.
+// Rows already in the dataset always win over incoming ones.
+export const mergeRows = (existingRows, incomingRows) => {
+  const seen = new Set(existingRows.map(rowKey));
+  let duplicates = 0;
+
+  const uniqueIncoming = incomingRows.filter(row => {
+    const key = rowKey(row);
+    if (seen.has(key)) {
+      duplicates++;
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  // Group by bed + type + value so containment only compares like with like
+  const existingSet = new Set(existingRows);
+  const groups = {};
+  [...existingRows, ...uniqueIncoming].forEach(row => {
+    const groupKey = `${row.bed_name}|${row.type}|${row.value}`;
+    if (!groups[groupKey]) groups[groupKey] = [];
+    groups[groupKey].push(row);
+  });
+
+  const overlapping = new Set();
+  Object.values(groups).forEach(groupRows => {
+    // Earliest start first; for equal starts prefer existing rows, then the longest one
+    const sorted = [...groupRows].sort((a, b) =>
+      (a.start - b.start) ||
+      (existingSet.has(b) - existingSet.has(a)) ||
+      (b.end - a.end)
+    );
+    // Only existing rows cover: rows of the incoming files never drop each other
+    let coveringRow = null;
+    sorted.forEach(row => {
+      if (!existingSet.has(row)) {
+        if (coveringRow && row.end <= coveringRow.end) overlapping.add(row);
+        return;
+      }
+      if (!coveringRow || row.end > coveringRow.end) coveringRow = row;
+    });
+  });
+
+  const addedRows = uniqueIncoming.filter(row => !overlapping.has(row));
+  return {
+    rows: [...existingRows, ...addedRows],
+    added: addedRows.length,
+    duplicates,
+    overlaps: overlapping.size,
+  };
+};
+
+// Keys of a dataset for appendUniqueRows
+export const rowKeySet = (rows) => new Set(rows.map(rowKey));
+
+// Live batches: drop exact duplicates by key only. `keys` is the rowKeySet of existingRows,
+// kept by the caller between batches and updated in place, so each batch costs its own
+// size instead of the whole dataset's. Overlap checks are left to file merges.
+export const appendUniqueRows = (existingRows, incomingRows, keys) => {
+  const addedRows = incomingRows.filter(row => {
+    const key = rowKey(row);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  return {
+    rows: addedRows.length ? [...existingRows, ...addedRows] : existingRows,
+    added: addedRows.length,
+    duplicates: incomingRows.length - addedRows.length,
+  };
+};
+
+// ───────── Parsing ─────────
+// Supported formats: CSV (with header row), JSON (array of event objects, or an object
+// wrapping one such array) and NDJSON (one event object per line). All of them end up
+// as flat string records, so column mapping and validation work the same for each.
+
+// File picker filter for everything the importers understand
+export const IMPORT_FILE_ACCEPT = '.csv,.json,.ndjson,.jsonl';
+
+const CHUNK_SIZE = 1024 * 1024 * 2; // 2 MB per chunk
+const JSON_BATCH_SIZE = 50000; // records validated between progress updates
+
+// Rejection used when the user cancels an import, so callers can tell it from a parse error
+export const cancelledImportError = () => {
+  const error = new Error("Import cancelled");
+  error.cancelled = true;
+  return error;
+};
+
+// Blob.text() is missing in some environments (older jsdom), FileReader is everywhere
+const readBlobAsText = (blob) => {
+  if (typeof blob.text === 'function') return blob.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+};
+
+// Same fallback for raw bytes
+const readBlobAsBytes = async (blob) => {
+  if (typeof blob.arrayBuffer === 'function') return new Uint8Array(await blob.arrayBuffer());
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+// Move a chunk end back to the start of a UTF-8 character, so a character split by the
+// chunk boundary is decoded with the next chunk instead of turning into U+FFFD
+const utf8ChunkEnd = async (file, end) => {
+  if (end >= file.size) return file.size;
+  const tail = await readBlobAsBytes(file.slice(Math.max(0, end - 3), end));
+  for (let i = tail.length - 1; i >= 0; i--) {
+    const byte = tail[i];
+    if ((byte & 0xC0) === 0x80) continue; // continuation byte, keep looking for the lead
+    if (byte < 0xC0) return end; // ASCII: the chunk ends on a whole character
+    const length = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : 2;
+    return tail.length - i < length ? end - (tail.length - i) : end;
+  }
+  return end;
+};
+
+// Pick the importer from the file extension, or sniff the first bytes when it is unknown
+export const detectFileFormat = async (file) => {
+  const name = (file.name || '').toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) return 'ndjson';
+  if (name.endsWith('.json')) return 'json';
+
+  const head = (await readBlobAsText(file.slice(0, 4096))).replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('[')) return 'json';
+  if (head.startsWith('{')) {
+    // One object per line means NDJSON; a single (pretty-printed) object is JSON
+    const firstLine = head.split(/\r?\n/)[0].trim();
+    try {
+      JSON.parse(firstLine);
+      return 'ndjson';
+    } catch (e) {
+      return 'json';
+    }
+  }
+  return 'csv';
+};
+
+// JSON values come typed; CSV gives strings. Flatten to strings so rows look the same.
+export const toFlatRecord = (event) => {
+  const record = {};
+  Object.entries(event || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined) record[key] = '';
+    else if (typeof value === 'object') record[key] = JSON.stringify(value);
+    else record[key] = String(value);
+  });
+  return record;
+};
+
+// Accept a bare array, or an object holding the event array (e.g. { "events": [...] })
+const extractJsonEvents = (parsed) => {
+  if (Array.isArray(parsed)) return parsed;
+  const arrays = Object.values(parsed || {}).filter(Array.isArray);
+  if (arrays.length === 1) return arrays[0];
+  throw new Error("Expected a JSON array of events, or an object containing one.");
+};
+
+const headersOf = (records) => Array.from(new Set(records.flatMap(r => Object.keys(r))));
+
+const parseNdjsonLine = (line, lineNumber) => {
+  try {
+    return toFlatRecord(JSON.parse(line));
+  } catch (e) {
+    throw new Error(`Invalid JSON on line ${lineNumber}: ${e.message}`);
+  }
+};
+
+// Collects validated rows chunk by chunk, plus the first aggregation (bed list and
+// date span) so the caller does not have to walk all rows again.
+const createImportAccumulator = (fileName, mapping, timeZone, sensorCodes) => {
+  const result = {
+    accepted: [],
+    rejected: [],
+    suspicious: 0,
+    reasonCounts: {},
+    total: 0,
+    beds: new Set(),
+    minDate: null,
+    maxDate: null,
+  };
+  return {
+    get total() { return result.total; },
+    add: (records) => {
+      const validation = validateRecords(records, fileName, mapping, timeZone, sensorCodes);
+      result.total += records.length;
+      result.suspicious += validation.suspicious;
+      validation.rejected.forEach(r => result.rejected.push(r));
+      Object.entries(validation.reasonCounts).forEach(([reason, count]) => {
+        result.reasonCounts[reason] = (result.reasonCounts[reason] || 0) + count;
+      });
+      validation.accepted.forEach(row => {
+        result.accepted.push(row);
+        result.beds.add(row.bed_name);
+        if (!result.minDate || row.start < result.minDate) result.minDate = row.start;
+        if (!result.maxDate || row.start > result.maxDate) result.maxDate = row.start;
+      });
+    },
+    finish: () => ({ ...result, beds: Array.from(result.beds).sort() }),
+  };
+};
+
+// ── CSV ──
+const peekCsvFile = (file, previewRows) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    preview: previewRows,
+    complete: (results) => resolve({ headers: results.meta.fields || [], previewRows: results.data }),
+    error: (error) => reject(error),
+  });
+});
+
+const streamCsvFile = (file, mapping, { onProgress, shouldAbort, timeZone, sensorCodes } = {}) => new Promise((resolve, reject) => {
+  const acc = createImportAccumulator(file.name, mapping, timeZone, sensorCodes);
+  let aborted = false;
+
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      if (shouldAbort && shouldAbort()) {
+        aborted = true;
+        parser.abort();
+        return;
+      }
+      acc.add(results.data);
+      if (onProgress) onProgress({ rows: acc.total, bytes: results.meta.cursor, totalBytes: file.size });
+    },
+    complete: () => {
+      if (aborted) reject(cancelledImportError());
+      else resolve(acc.finish());
+    },
+    error: (error) => reject(error),
+  });
+});
+
+// ── JSON ──
+// A JSON array has to be read in one piece; validation still runs in batches.
+const peekJsonFile = async (file, previewRows) => {
+  const records = extractJsonEvents(JSON.parse(await readBlobAsText(file))).slice(0, previewRows).map(toFlatRecord);
+  return { headers: headersOf(records), previewRows: records };
+};
+
+const streamJsonFile = async (file, mapping, { onProgress, shouldAbort, timeZone, sensorCodes } = {}) => {
+  const events = extractJsonEvents(JSON.parse(await readBlobAsText(file)));
+  const acc = createImportAccumulator(file.name, mapping, timeZone, sensorCodes);
+  for (let i = 0; i < events.length; i += JSON_BATCH_SIZE) {
+    if (shouldAbort && shouldAbort()) throw cancelledImportError();
+    acc.add(events.slice(i, i + JSON_BATCH_SIZE).map(toFlatRecord));
+    const done = Math.min(events.length, i + JSON_BATCH_SIZE);
+    if (onProgress) onProgress({ rows: acc.total, bytes: Math.round(file.size * done / events.length), totalBytes: file.size });
+  }
+  return acc.finish();
+};
+
+// ── NDJSON ──
+// Read in byte chunks that end on whole characters and split on newlines, carrying the
+// partial last line over. `chunkSize` (bytes, at least 4) is only smaller in tests.
+const streamNdjsonLines = async (file, onLines, { shouldAbort, stopAfter, chunkSize = CHUNK_SIZE } = {}) => {
+  let carry = '';
+  let lineNumber = 0;
+  let count = 0;
+  for (let offset = 0, end; offset < file.size; offset = end) {
+    if (shouldAbort && shouldAbort()) throw cancelledImportError();
+    end = await utf8ChunkEnd(file, offset + chunkSize);
+    const text = carry + await readBlobAsText(file.slice(offset, end));
+    const lines = text.split(/\r?\n/);
+    carry = end < file.size ? lines.pop() : '';
+    const records = [];
+    for (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      records.push(parseNdjsonLine(line, lineNumber));
+      if (stopAfter && ++count >= stopAfter) break;
+    }
+    onLines(records, end);
+    if (stopAfter && count >= stopAfter) return;
+  }
+};
+
+const peekNdjsonFile = async (file, previewRows) => {
+  const records = [];
+  await streamNdjsonLines(file, (batch) => records.push(...batch), { stopAfter: previewRows });
+  return { headers: headersOf(records), previewRows: records.slice(0, previewRows) };
+};
+
+const streamNdjsonFile = async (file, mapping, { onProgress, shouldAbort, timeZone, sensorCodes, chunkSize } = {}) => {
+  const acc = createImportAccumulator(file.name, mapping, timeZone, sensorCodes);
+  await streamNdjsonLines(file, (records, bytes) => {
+    acc.add(records);
+    if (onProgress) onProgress({ rows: acc.total, bytes, totalBytes: file.size });
+  }, { shouldAbort, chunkSize });
+  return acc.finish();
+};
+
+const IMPORTERS = {
+  csv: { peek: peekCsvFile, stream: streamCsvFile },
+  json: { peek: peekJsonFile, stream: streamJsonFile },
+  ndjson: { peek: peekNdjsonFile, stream: streamNdjsonFile },
+};
+
+// Read only the headers and a few records, enough for the column mapping step
+export const peekImportFile = async (file, format, previewRows = 5) => IMPORTERS[format].peek(file, previewRows);
+
+// Parse a whole file chunk by chunk, mapping and validating each chunk as it arrives.
+// `onProgress` gets { rows, bytes, totalBytes } per chunk; `shouldAbort` is checked
+// before each chunk; `timeZone` is the zone for timestamps without an offset and
+// `sensorCodes` the dictionary types and values are checked against. Resolves with the accepted/rejected rows, counts, beds and date span.
+export const streamImportFile = (file, format, mapping, options) => IMPORTERS[format].stream(file, mapping, options);
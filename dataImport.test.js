@@ -0,0 +1,151 @@
+import {
+  mergeRows,
+  rowKeySet,
+  appendUniqueRows,
+  validateRecords,
+  detectFileFormat,
+  streamImportFile,
+  DEFAULT_COLUMN_MAPPING,
+} from './dataImport';
+
+const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+const row = (type, value, start, end, bed_name = 'A') => ({ bed_name, type, value: String(value), start: at(start), end: at(end) });
+
+describe('multi-file merge', () => {
+  const existing = [
+    row('patient_detection', 1, '21:00', '23:00'),
+    row('restlessness', 2, '21:30', '21:45'),
+  ];
+
+  test('drops exact duplicates, within the batch too', () => {
+    const merge = mergeRows(existing, [
+      row('patient_detection', 1, '21:00', '23:00'),
+      row('reposition', 1, '22:30', '22:31'),
+      row('reposition', 1, '22:30', '22:31'),
+    ]);
+    expect(merge).toMatchObject({ added: 1, duplicates: 2, overlaps: 0 });
+    expect(merge.rows).toHaveLength(3);
+    expect(merge.rows.slice(0, 2)).toEqual(existing); // existing rows stay first and untouched
+  });
+
+  test('drops rows covered by a like row, keeps partial overlaps and other beds', () => {
+    const incoming = [
+      row('patient_detection', 1, '21:30', '22:30'), // inside 21:00-23:00
+      row('patient_detection', 1, '22:30', '23:30'), // runs past it
+      row('patient_detection', 2, '21:30', '22:30'), // other value
+      row('patient_detection', 1, '21:30', '22:30', 'B'), // other bed
+    ];
+    const merge = mergeRows(existing, incoming);
+    expect(merge).toMatchObject({ added: 3, duplicates: 0, overlaps: 1 });
+    expect(merge.rows).toEqual([...existing, ...incoming.slice(1)]);
+  });
+
+  test('rows of the incoming files never drop each other', () => {
+    const incoming = [row('patient_detection', 1, '21:00', '23:00'), row('patient_detection', 1, '21:30', '22:30')];
+    const merge = mergeRows([], incoming);
+    expect(merge).toMatchObject({ added: 2, duplicates: 0, overlaps: 0 });
+    expect(merge.rows).toEqual(incoming);
+  });
+
+  test('existing rows win even when an incoming row covers them', () => {
+    const merge = mergeRows(existing, [row('patient_detection', 1, '20:00', '23:30')]);
+    expect(merge).toMatchObject({ added: 1, overlaps: 0 });
+    expect(merge.rows).toHaveLength(3);
+  });
+
+  test('live batches are deduped against the kept keys only', () => {
+    const keys = rowKeySet(existing);
+    const first = appendUniqueRows(existing, [row('restlessness', 2, '21:30', '21:45'), row('reposition', 1, '22:30', '22:31')], keys);
+    expect(first).toMatchObject({ added: 1, duplicates: 1 });
+    expect(first.rows).toHaveLength(3);
+    const second = appendUniqueRows(first.rows, [row('reposition', 1, '22:30', '22:31')], keys);
+    expect(second).toMatchObject({ added: 0, duplicates: 1 });
+    expect(second.rows).toBe(first.rows); // nothing new, same array
+  });
+});
+
+describe('import validation', () => {
+  const record = (fields) => ({
+    start_at: '2024-03-01T21:00:00', end_at: '2024-03-01T22:00:00', bed_name: 'A', type: 'patient_detection', value: '1', ...fields,
+  });
+
+  test('rejects rows it cannot place and says why', () => {
+    const { accepted, rejected, suspicious, reasonCounts } = validateRecords([
+      record({}),
+      record({ start_at: 'yesterday' }),
+      record({ end_at: '2024-03-01T20:00:00' }),
+      record({ bed_name: '  ' }),
+      record({ bed_name: '', end_at: 'soon' }),
+    ], 'a.csv', undefined, 'UTC');
+    expect(accepted).toHaveLength(1);
+    expect(rejected.map(r => r.reasons)).toEqual([['bad_date'], ['end_before_start'], ['missing_bed'], ['bad_date', 'missing_bed']]);
+    expect(rejected[0]).toMatchObject({ fileName: 'a.csv', record: record({ start_at: 'yesterday' }) });
+    expect(suspicious).toBe(0);
+    expect(reasonCounts).toEqual({ bad_date: 2, end_before_start: 1, missing_bed: 2 });
+  });
+
+  test('keeps unknown types and values but counts them as suspicious', () => {
+    const { accepted, rejected, suspicious, reasonCounts } = validateRecords([
+      record({ type: 'door_sensor' }),
+      record({ value: '7' }),
+    ], 'a.csv', undefined, 'UTC');
+    expect(accepted).toHaveLength(2);
+    expect(rejected).toEqual([]);
+    expect(suspicious).toBe(2);
+    expect(reasonCounts).toEqual({ unknown_type: 1, unexpected_value: 1 });
+  });
+
+  test('reads timestamps without an offset in the given zone', () => {
+    const { accepted } = validateRecords([record({})], 'a.csv', undefined, 'Europe/Berlin');
+    expect(accepted[0].start.toISOString()).toBe('2024-03-01T20:00:00.000Z');
+    expect(accepted[0]).toMatchObject({ naive_time: true, source_file: 'a.csv' });
+  });
+
+  test('keeps only the mapped fields of a record', () => {
+    const { accepted } = validateRecords([record({ ward: 'North', note: 'a long free-text comment' })], 'a.csv', undefined, 'UTC');
+    expect(Object.keys(accepted[0]).sort()).toEqual(['bed_name', 'end', 'naive_time', 'source_file', 'start', 'type', 'value']);
+  });
+
+  test('a bare date is wall time too, but an offset after a time is kept', () => {
+    const { accepted } = validateRecords([
+      record({ start_at: '2024-03-01', end_at: '2024-03-02' }),
+      record({ start_at: '2024-03-01T21:00:00-01:00', end_at: '2024-03-01T22:00:00Z' }),
+    ], 'a.csv', undefined, 'Europe/Berlin');
+    expect(accepted[0].start.toISOString()).toBe('2024-02-29T23:00:00.000Z');
+    expect(accepted[0].naive_time).toBe(true);
+    expect(accepted[1].start.toISOString()).toBe('2024-03-01T22:00:00.000Z');
+    expect(accepted[1].naive_time).toBe(false);
+  });
+});
+
+describe('file format detection', () => {
+  const file = (text, name) => new File([text], name);
+
+  test('trusts the extension', async () => {
+    expect(await detectFileFormat(file('[]', 'events.CSV'))).toBe('csv');
+    expect(await detectFileFormat(file('a,b', 'events.json'))).toBe('json');
+    expect(await detectFileFormat(file('', 'events.ndjson'))).toBe('ndjson');
+    expect(await detectFileFormat(file('', 'events.jsonl'))).toBe('ndjson');
+  });
+
+  test('sniffs the content when the extension is unknown', async () => {
+    expect(await detectFileFormat(file('start_at,end_at,bed_name\n', 'export.txt'))).toBe('csv');
+    expect(await detectFileFormat(file('\uFEFF  [{"bed_name": "A"}]', 'export.txt'))).toBe('json');
+    expect(await detectFileFormat(file('{"bed_name": "A"}\n{"bed_name": "B"}\n', 'export'))).toBe('ndjson');
+    // a single pretty-printed object is JSON, not one object per line
+    expect(await detectFileFormat(file('{\n  "events": []\n}', 'export'))).toBe('json');
+  });
+});
+
+describe('streaming import', () => {
+  test('keeps a character that straddles a chunk boundary whole', async () => {
+    const line = (bed) => JSON.stringify({ start_at: '2024-03-01T21:00:00Z', end_at: '2024-03-01T22:00:00Z', bed_name: bed, type: 'patient_detection', value: 1 });
+    const text = [line('Rom 3 – Øst'), line('Rom 4 – Øst')].join('\n');
+    // chunks this small cut through the 3-byte dash and the 2-byte Ø more than once
+    for (const chunkSize of [4, 5, 6, 7]) {
+      const result = await streamImportFile(new File([text], 'live.ndjson'), 'ndjson', DEFAULT_COLUMN_MAPPING, { timeZone: 'UTC', chunkSize });
+      expect(result.beds).toEqual(['Rom 3 – Øst', 'Rom 4 – Øst']);
+      expect(result.rejected).toEqual([]);
+    }
+  });
+});
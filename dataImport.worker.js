@@ -0,0 +1,23 @@
+/* eslint-disable no-restricted-globals */
+// ─────────────────────────────────────────────────────────────────────────────
+// Web Worker: streams one data file through streamImportFile off the main thread.
+// In:  { file, format, mapping, timeZone, sensorCodes }
+// Out: { type: 'progress', rows, bytes, totalBytes } per chunk,
+//      then { type: 'done', result } or { type: 'error', message }
+// Cancelling is done by terminating the worker.
+// ─────────────────────────────────────────────────────────────────────────────
+import { streamImportFile } from "./dataImport";
+
+self.onmessage = async (e) => {
+  const { file, format, mapping, timeZone, sensorCodes } = e.data;
+  try {
+    const result = await streamImportFile(file, format, mapping, {
+      timeZone,
+      sensorCodes,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
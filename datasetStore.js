@@ -0,0 +1,70 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Local dataset library (IndexedDB).
+// Metadata and rows live in separate stores so listing the library stays cheap
+// even when a dataset holds millions of rows.
+// Metadata: { id, name, importedAt, updatedAt, beds, start, end, rowCount, files, timeZone }
+// ─────────────────────────────────────────────────────────────────────────────
+const DB_NAME = 'bedsense';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const ROWS_STORE = 'datasetRows';
+
+export const isDatasetStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+export const createDatasetId = () => `ds-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(ROWS_STORE)) db.createObjectStore(ROWS_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `callback(metaStore, rowsStore)` in one transaction. Resolves when the
+// transaction completes, with the result of the request the callback returned (if any).
+const withStores = async (mode, callback) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, ROWS_STORE], mode);
+    const request = callback(tx.objectStore(META_STORE), tx.objectStore(ROWS_STORE));
+    const fail = () => {
+      db.close();
+      reject(tx.error);
+    };
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = fail;
+    tx.onabort = fail;
+  });
+};
+
+// Newest first
+export const listDatasets = async () => {
+  const datasets = await withStores('readonly', (meta) => meta.getAll());
+  return datasets.sort((a, b) => b.importedAt - a.importedAt);
+};
+
+export const saveDataset = (dataset, rows) => withStores('readwrite', (meta, rowsStore) => {
+  meta.put(dataset);
+  rowsStore.put(rows, dataset.id);
+});
+
+export const loadDatasetRows = (id) => withStores('readonly', (meta, rowsStore) => rowsStore.get(id));
+
+export const renameDataset = (id, name) => withStores('readwrite', (meta) => {
+  const request = meta.get(id);
+  request.onsuccess = () => {
+    if (request.result) meta.put({ ...request.result, name });
+  };
+});
+
+export const deleteDataset = (id) => withStores('readwrite', (meta, rowsStore) => {
+  meta.delete(id);
+  rowsStore.delete(id);
+});
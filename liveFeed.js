@@ -0,0 +1,77 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Live event feed.
+// ws:// and wss:// URLs use a WebSocket, http:// and https:// URLs use
+// Server-Sent Events. Each message is one event object or an array of them,
+// in the same shape as a CSV row (start_at, end_at, bed_name, type, value).
+// ─────────────────────────────────────────────────────────────────────────────
+import { toFlatRecord } from "./dataImport";
+
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+export const isWebSocketUrl = (url) => /^wss?:\/\//i.test(url.trim());
+
+export const isValidLiveUrl = (url) => /^(wss?|https?):\/\//i.test((url || '').trim());
+
+// Message text -> list of raw records; anything that isn't JSON objects is ignored
+const parseMessage = (text) => {
+  try {
+    const parsed = JSON.parse(text);
+    const events = Array.isArray(parsed) ? parsed : [parsed];
+    // Same flat string records the file importers produce
+    return events.filter(e => e && typeof e === 'object').map(toFlatRecord);
+  } catch (e) {
+    console.warn("Ignoring live message that is not JSON:", text);
+    return [];
+  }
+};
+
+// Connect and keep connected. `onStatus` gets 'connecting' | 'live' | 'error'.
+// Returns a function that closes the connection for good.
+export const connectLiveFeed = (url, { onRecords, onStatus }) => {
+  let closed = false;
+  let socket = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+
+  const handleMessage = (event) => {
+    const records = parseMessage(event.data);
+    if (records.length) onRecords(records);
+  };
+
+  const connectWebSocket = () => {
+    onStatus('connecting');
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      attempt = 0;
+      onStatus('live');
+    };
+    socket.onmessage = handleMessage;
+    socket.onerror = () => onStatus('error');
+    // WebSockets don't reconnect on their own, so back off and retry
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus('error');
+      const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+      attempt++;
+      reconnectTimer = setTimeout(connectWebSocket, delay);
+    };
+  };
+
+  // EventSource retries by itself; we only report what it is doing
+  const connectEventSource = () => {
+    onStatus('connecting');
+    socket = new EventSource(url);
+    socket.onopen = () => onStatus('live');
+    socket.onmessage = handleMessage;
+    socket.onerror = () => onStatus(socket.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+  };
+
+  if (isWebSocketUrl(url)) connectWebSocket();
+  else connectEventSource();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  };
+};
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// ─────────────────────────────────────────────────────────────────────────────
+// Mock BedSense live server: replays a CSV export as a live event stream, so
+// the dashboard's live mode can be tried offline.
+//
+//   npm run mock:live -- --file export.csv [--port 8787] [--speed 60] [--loop] [--no-shift]
+//
+// Serves Server-Sent Events on http://localhost:<port>/events and a WebSocket
+// on ws://localhost:<port>/ws. Rows are sent in the order they end, one JSON
+// object per message. --speed compresses time (60 = one hour of data per
+// minute). Timestamps are shifted into the present, unless --no-shift: at speed 1
+// the first event happens "now"; faster replays are shifted further back so the
+// last event lands when the replay ends, and no event is ever ahead of the clock.
+// Only Node built-ins and papaparse, no extra dependencies.
+// ─────────────────────────────────────────────────────────────────────────────
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const Papa = require('papaparse');
+
+const parseArgs = (argv) => {
+  const args = { port: 8787, speed: 60, loop: false, shift: true, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--file') args.file = argv[++i];
+    else if (arg === '--port') args.port = Number(argv[++i]);
+    else if (arg === '--speed') args.speed = Number(argv[++i]);
+    else if (arg === '--loop') args.loop = true;
+    else if (arg === '--no-shift') args.shift = false;
+    else if (!args.file) args.file = arg;
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file || !fs.existsSync(args.file)) {
+  console.error('Usage: node scripts/mock-live-server.js --file <export.csv> [--port 8787] [--speed 60] [--loop] [--no-shift]');
+  process.exit(1);
+}
+if (!(args.speed > 0)) {
+  console.error('--speed must be a positive number');
+  process.exit(1);
+}
+
+// ───────── Load the export ─────────
+const { data } = Papa.parse(fs.readFileSync(args.file, 'utf8'), { header: true, skipEmptyLines: true });
+const events = data
+  .map(row => ({ row, start: Date.parse(row.start_at), end: Date.parse(row.end_at) }))
+  .filter(e => !isNaN(e.start) && !isNaN(e.end))
+  .sort((a, b) => a.end - b.end);
+
+if (!events.length) {
+  console.error(`No rows with valid start_at/end_at in ${args.file}`);
+  process.exit(1);
+}
+console.log(`Loaded ${events.length} events from ${args.file}`);
+
+// ───────── Clients ─────────
+const sseClients = new Set();
+const wsClients = new Set();
+
+// Server -> client text frame (unmasked, FIN set)
+const encodeWsFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2); // high 32 bits; messages here never get near 4 GB
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const broadcast = (message) => {
+  const text = JSON.stringify(message);
+  sseClients.forEach(res => res.write(`data: ${text}\n\n`));
+  const frame = encodeWsFrame(text);
+  wsClients.forEach(socket => socket.write(frame));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/events')) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.write(': connected\n\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+  res.end(`BedSense mock live server\nSSE:       http://localhost:${args.port}/events\nWebSocket: ws://localhost:${args.port}/ws\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!req.url.startsWith('/ws') || !key) {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  wsClients.add(socket);
+  // The client only ever sends pings and the close frame; end on close (opcode 0x8)
+  socket.on('data', (buffer) => {
+    if ((buffer[0] & 0x0f) === 0x8) socket.end();
+  });
+  socket.on('close', () => wsClients.delete(socket));
+  socket.on('error', () => wsClients.delete(socket));
+});
+
+// ───────── Replay ─────────
+const replay = () => {
+  const replayStartedAt = Date.now();
+  const dataStart = events[0].end;
+  // With shifting, the first event looks like it just happened. Above speed 1 data
+  // time runs ahead of the wall clock by span * (1 - 1/speed) by the end, so start
+  // that much earlier.
+  const span = events[events.length - 1].end - dataStart;
+  const offset = args.shift ? replayStartedAt - dataStart - Math.max(0, span * (1 - 1 / args.speed)) : 0;
+  let index = 0;
+
+  const sendDue = () => {
+    const dataNow = dataStart + (Date.now() - replayStartedAt) * args.speed;
+    while (index < events.length && events[index].end <= dataNow) {
+      const { row, start, end } = events[index++];
+      broadcast(args.shift
+        ? { ...row, start_at: new Date(start + offset).toISOString(), end_at: new Date(end + offset).toISOString() }
+        : row);
+    }
+    if (index < events.length) {
+      const wait = (events[index].end - dataNow) / args.speed;
+      setTimeout(sendDue, Math.max(10, Math.min(wait, 1000)));
+    } else if (args.loop) {
+      console.log('Replay finished, starting again');
+      setTimeout(replay, 1000);
+    } else {
+      console.log('Replay finished');
+    }
+  };
+  sendDue();
+};
+
+server.listen(args.port, () => {
+  console.log(`SSE on http://localhost:${args.port}/events, WebSocket on ws://localhost:${args.port}/ws (speed x${args.speed})`);
+  replay();
+});
@@ -0,0 +1,98 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Sensor code dictionary.
+// Maps each event type/value pair of an export to a semantic state. Import
+// validation, the metric engine and the activity timeline only look at these
+// states, so a sensor with extra codes needs a dictionary entry, not new code.
+// Dictionary: { [type]: { [value]: stateKey } }, values as trimmed strings.
+// Pairs missing from the dictionary are ignored by the calculations (the import
+// report lists them as unknown).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// `timeline` is the ActivityTimeline state the rows are drawn as (null = not drawn),
+// `level` the restlessness level (higher wins where rows overlap).
+export const SENSOR_STATES = {
+  in_bed: { label: 'In bed', timeline: 'resting' },
+  out_of_bed: { label: 'Out of bed', timeline: 'out_of_bed' },
+  restless_low: { label: 'Restlessness, low', timeline: 'resting', level: 1 },
+  restless_medium: { label: 'Restlessness, medium', timeline: 'light', level: 2 },
+  restless_high: { label: 'Restlessness, high', timeline: 'high', level: 3 },
+  reposition: { label: 'Reposition', timeline: 'resting' },
+  heartbeat: { label: 'Heartbeat (sensor alive)', timeline: null },
+  ignore: { label: 'Ignore', timeline: null },
+};
+
+export const DEFAULT_SENSOR_CODES = {
+  patient_detection: { '0': 'out_of_bed', '1': 'in_bed', '2': 'in_bed', '4': 'in_bed' },
+  restlessness: { '1': 'restless_low', '2': 'restless_medium', '3': 'restless_high' },
+  reposition: { '1': 'reposition' },
+  heartbeat: { '1': 'heartbeat' },
+};
+
+export const STANDARD_PROFILE_NAME = 'Standard';
+
+// State key of a row, or null when the dictionary has no entry for it
+export const stateOf = (row, codes = DEFAULT_SENSOR_CODES) => codes[row.type]?.[String(row.value).trim()] ?? null;
+
+// Restlessness level 1-3 of a row, 0 when it is not restlessness
+export const restlessLevelOf = (row, codes = DEFAULT_SENSOR_CODES) => SENSOR_STATES[stateOf(row, codes)]?.level || 0;
+
+// Editor form: [{ type, value, state }] and back (blank and incomplete lines are dropped)
+export const toCodeList = (codes) => Object.entries(codes).flatMap(([type, values]) => (
+  Object.entries(values).map(([value, state]) => ({ type, value, state }))
+));
+
+export const fromCodeList = (list) => list.reduce((codes, { type, value, state }) => {
+  const t = String(type ?? '').trim();
+  const v = String(value ?? '').trim();
+  if (!t || !v || !SENSOR_STATES[state]) return codes;
+  return { ...codes, [t]: { ...codes[t], [v]: state } };
+}, {});
+
+// Codes drawn as each timeline state, e.g. { high: ['restlessness 3'], ... }, for legends
+export const codesByTimelineState = (codes = DEFAULT_SENSOR_CODES) => toCodeList(codes).reduce((acc, { type, value, state }) => {
+  const timeline = SENSOR_STATES[state].timeline;
+  if (timeline) acc[timeline] = [...(acc[timeline] || []), `${type} ${value}`];
+  return acc;
+}, {});
+
+// ───────── Profiles (browser) ─────────
+// Saved dictionaries by name plus the active profile's name. The built-in
+// Standard profile is DEFAULT_SENSOR_CODES and is never stored.
+const PROFILES_KEY = 'bedsense.sensorCodeProfiles';
+const ACTIVE_PROFILE_KEY = 'bedsense.sensorCodeProfile';
+
+export const loadSensorCodeProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILES_KEY)) || {};
+  } catch (error) {
+    console.error("Could not read sensor code profiles:", error);
+    return {};
+  }
+};
+
+export const saveSensorCodeProfiles = (profiles) => {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error("Could not save sensor code profiles:", error);
+  }
+};
+
+// { name, codes } of the active profile, Standard when none is saved
+export const loadActiveSensorCodes = () => {
+  try {
+    const name = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    const codes = name && loadSensorCodeProfiles()[name];
+    return codes ? { name, codes } : { name: STANDARD_PROFILE_NAME, codes: DEFAULT_SENSOR_CODES };
+  } catch (e) {
+    return { name: STANDARD_PROFILE_NAME, codes: DEFAULT_SENSOR_CODES };
+  }
+};
+
+export const saveActiveSensorCodeProfile = (name) => {
+  try {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+  } catch (error) {
+    console.error("Could not save the active sensor code profile:", error);
+  }
+};
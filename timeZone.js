@@ -0,0 +1,109 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// Facility time zone helpers.
+// Event timestamps are instants; the dashboard groups and shows them in the
+// facility's zone, not the browser's. Day keys ("yyyy-MM-dd") and the calendar
+// day objects built from them (parseISO(key)) are plain calendar dates.
+// A "night" runs from `nightStartHour`:00 on its day key to the same wall time
+// the next day (0 = plain calendar days).
+// ─────────────────────────────────────────────────────────────────────────────
+import { addDays, format, parseISO } from "date-fns";
+import { tz, TZDate } from "@date-fns/tz";
+
+const TIME_ZONE_KEY = 'bedsense.facilityTimeZone';
+const NIGHT_START_KEY = 'bedsense.nightStartHour';
+
+export const DEFAULT_NIGHT_START_HOUR = 12; // noon to noon
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const isValidTimeZone = (zone) => {
+  if (!zone) return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// All IANA zones the browser knows, for the zone picker
+export const listTimeZones = () => (
+  typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['UTC', 'Europe/London', 'Europe/Berlin', 'Europe/Oslo', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Asia/Tokyo', 'Australia/Sydney']
+);
+
+export const loadFacilityTimeZone = () => {
+  try {
+    const saved = localStorage.getItem(TIME_ZONE_KEY);
+    return isValidTimeZone(saved) ? saved : getBrowserTimeZone();
+  } catch (e) {
+    return getBrowserTimeZone();
+  }
+};
+
+export const saveFacilityTimeZone = (zone) => {
+  try {
+    localStorage.setItem(TIME_ZONE_KEY, zone);
+  } catch (error) {
+    console.error("Could not save facility time zone:", error);
+  }
+};
+
+export const loadNightStartHour = () => {
+  try {
+    const saved = localStorage.getItem(NIGHT_START_KEY);
+    const hour = Number(saved);
+    return saved !== null && Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : DEFAULT_NIGHT_START_HOUR;
+  } catch (e) {
+    return DEFAULT_NIGHT_START_HOUR;
+  }
+};
+
+export const saveNightStartHour = (hour) => {
+  try {
+    localStorage.setItem(NIGHT_START_KEY, String(hour));
+  } catch (error) {
+    console.error("Could not save night window:", error);
+  }
+};
+
+// Format an instant as wall-clock time in the given zone
+export const formatInZone = (date, pattern, zone) => format(date, pattern, { in: tz(zone) });
+
+// Calendar day (in the facility zone) an instant falls on
+export const toDayKey = (date, zone) => formatInZone(date, 'yyyy-MM-dd', zone);
+
+// Same, as a calendar date object for ranges and the calendar grid
+export const toCalendarDay = (date, zone) => parseISO(toDayKey(date, zone));
+
+// The instant at `hour`:00 wall time on a day key, `dayOffset` days later (may be negative).
+// Uses real zone rules, so across a DST change the span between two of these is 23h or 25h.
+export const zonedDayTime = (dayKey, hour, zone, dayOffset = 0) => {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return new Date(new TZDate(y, m - 1, d + dayOffset, hour, 0, 0, zone).getTime());
+};
+
+// Night (day key of its start) an instant falls in
+export const toNightKey = (date, zone, nightStartHour = 0) => {
+  const dayKey = toDayKey(date, zone);
+  if (!nightStartHour || Number(formatInZone(date, 'H', zone)) >= nightStartHour) return dayKey;
+  return format(addDays(parseISO(dayKey), -1), 'yyyy-MM-dd');
+};
+
+export const toNightDay = (date, zone, nightStartHour = 0) => parseISO(toNightKey(date, zone, nightStartHour));
+
+// Start and end instants of a night
+export const nightWindow = (nightKey, zone, nightStartHour = 0) => ({
+  start: zonedDayTime(nightKey, nightStartHour, zone),
+  end: zonedDayTime(nightKey, nightStartHour, zone, 1),
+});
+
+// Offset-less timestamps ("2024-03-01T22:00:00") are wall time in the facility zone.
+// The offset has to follow a time, so the "-01" of a bare date ("2024-03-01") is not one.
+export const hasExplicitOffset = (value) => /\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}(:?\d{2})?)$/i.test(String(value).trim());
+
+// Re-read a wall-clock timestamp that was parsed in `fromZone` as if it had been in `toZone`
+export const reinterpretWallTime = (date, fromZone, toZone) => new Date(
+  parseISO(formatInZone(date, "yyyy-MM-dd'T'HH:mm:ss.SSS", fromZone), { in: tz(toZone) }).getTime()
+);